@@ -0,0 +1,41 @@
+// "Open with" preference and workspace display helpers, shared by the background worker (importScripts),
+// the content script and the popup
+// Workspace apps come from the background worker: { id, label, url, icon, healthy }
+
+const OPEN_WITH_DEFAULT = 'dashboard';
+
+/**
+ * App matching an "open with" preference, or null to open the Coder dashboard page
+ * Preferences are app ids ("vscode", "terminal", or a template app slug such as "code-server");
+ * "jetbrains" matches whichever JetBrains Gateway app the template provides
+ */
+function findPreferredApp(apps, openWith) {
+  if (!apps || !openWith || openWith === OPEN_WITH_DEFAULT) {
+    return null;
+  }
+
+  if (openWith === 'jetbrains') {
+    return apps.find(app => /jetbrains|gateway/i.test(app.id) || app.url.startsWith('jetbrains-gateway:')) || null;
+  }
+
+  return apps.find(app => app.id === openWith) || null;
+}
+
+/**
+ * Whether a URL opens a desktop application rather than a web page
+ */
+function isDesktopAppUrl(url) {
+  return !/^https?:/i.test(url);
+}
+
+/**
+ * Short "5m ago" style age of a timestamp, for last-used times
+ */
+function formatRelativeTime(timestamp) {
+  const seconds = Math.round((Date.now() - new Date(timestamp).getTime()) / 1000);
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+}
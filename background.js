@@ -1,42 +1,315 @@
 // Background service worker for Coder API integration
 
+// Shared with the content script: GitHub hosts, Coder sessions, workspace naming engine, launch profile matching
+// and the "open with" preference
+importScripts('hosts.js', 'sessions.js', 'naming.js', 'profiles.js', 'apps.js');
+
 /**
- * Derive workspace name from repo and branch
- * Coder workspace names: lowercase, alphanumeric + hyphens, max 32 chars
+ * Make authenticated Coder API request
+ * Pass options.method/options.body for non-GET requests (body is JSON-encoded)
  */
-function deriveWorkspaceName(repo, branch) {
-  // Format: repo-branch, sanitized
-  const combined = `${repo}-${branch}`
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, '-')  // Replace invalid chars with hyphens
-    .replace(/-+/g, '-')          // Collapse multiple hyphens
-    .replace(/^-|-$/g, '')        // Trim leading/trailing hyphens
-    .slice(0, 32);                // Max 32 chars
+async function coderApiRequest(coderUrl, apiToken, endpoint, options = {}) {
+  const url = `${coderUrl}/api/v2${endpoint}`;
+  const headers = {
+    'Accept': 'application/json',
+    'Coder-Session-Token': apiToken
+  };
+
+  if (options.body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: options.method || 'GET',
+      headers: headers,
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+  } catch (fetchError) {
+    // Without host access the request is blocked like a network error - say which one it is
+    const originPattern = getOriginPattern(coderUrl);
+    if (originPattern && !(await chrome.permissions.contains({ origins: [originPattern] }))) {
+      const error = new Error(`No access to ${new URL(coderUrl).origin}`);
+      error.detail = `Host access to ${new URL(coderUrl).origin} is not granted - allow it in the extension options`;
+      throw error;
+    }
+    throw fetchError;
+  }
+
+  // Expired or revoked session: retry once with a renewed token
+  if (response.status === 401 && !options.retried) {
+    const renewedToken = await renewCoderToken(coderUrl, apiToken);
+    if (renewedToken) {
+      return coderApiRequest(coderUrl, renewedToken, endpoint, { ...options, retried: true });
+    }
+  }
+
+  if (!response.ok) {
+    const error = new Error(`API request failed: ${response.status}`);
+    error.status = response.status;
+    // Coder returns { message, detail } on errors - surface it when present
+    try {
+      const body = await response.json();
+      error.detail = body.detail || body.message;
+    } catch (e) {
+      // Non-JSON error body
+    }
+    throw error;
+  }
+
+  // Anything that changes workspaces makes the cached lookups stale
+  if (options.method && options.method !== 'GET') {
+    invalidateWorkspaceLookups(coderUrl);
+  }
 
-  return combined;
+  return response.status === 204 ? null : response.json();
 }
 
+// ============================================================================
+// CODER LOOKUP CACHE
+// ============================================================================
+
+// Workspace lookups by deployment and endpoint: { data, fetchedAt, refresh }
+// Button re-injections (SPA navigation, every file clicked) ask for the same workspaces over and over
+const coderLookups = new Map();
+
+// Served without asking Coder again while this fresh
+const LOOKUP_FRESH_TTL = 5 * 1000;
+// Then served as-is while a background refresh runs, up to this age
+const LOOKUP_STALE_TTL = 60 * 1000;
+// A build's parameters never change once it exists
+const BUILD_PARAMETERS_TTL = 30 * 60 * 1000;
+
 /**
- * Make authenticated Coder API request
+ * GET a Coder endpoint through the lookup cache
+ * Concurrent requests for the same endpoint share one fetch; stale entries are returned
+ * immediately and refreshed in the background. Failures are never cached.
  */
-async function coderApiRequest(coderUrl, apiToken, endpoint) {
-  const url = `${coderUrl}/api/v2${endpoint}`;
+async function cachedCoderRequest(coderUrl, apiToken, endpoint, freshFor = LOOKUP_FRESH_TTL) {
+  const key = `${coderUrl}${endpoint}`;
+  const entry = coderLookups.get(key);
+
+  if (entry?.fetchedAt) {
+    const age = Date.now() - entry.fetchedAt;
+
+    if (age < freshFor) {
+      return entry.data;
+    }
+    if (age < Math.max(freshFor, LOOKUP_STALE_TTL)) {
+      if (!entry.refresh) {
+        refreshCoderLookup(key, coderUrl, apiToken, endpoint).catch(() => {
+          // Kept until it ages out; the next lookup tries again
+        });
+      }
+      return entry.data;
+    }
+  }
+
+  return entry?.refresh || refreshCoderLookup(key, coderUrl, apiToken, endpoint);
+}
+
+function refreshCoderLookup(key, coderUrl, apiToken, endpoint) {
+  const entry = coderLookups.get(key) || {};
+  coderLookups.set(key, entry);
+
+  entry.refresh = coderApiRequest(coderUrl, apiToken, endpoint).then((data) => {
+    // Dropped by an invalidation while in flight: the answer may predate the change
+    if (coderLookups.get(key) === entry) {
+      entry.data = data;
+      entry.fetchedAt = Date.now();
+      entry.refresh = null;
+    }
+    return data;
+  }, (error) => {
+    if (coderLookups.get(key) === entry) {
+      entry.refresh = null;
+      if (!entry.fetchedAt) {
+        coderLookups.delete(key);
+      }
+    }
+    throw error;
+  });
+
+  return entry.refresh;
+}
+
+/**
+ * Forget a deployment's cached workspace lookups after a start, stop, create or delete,
+ * or a build changing state. Build parameters are kept; they belong to a build, not the workspace.
+ */
+function invalidateWorkspaceLookups(coderUrl) {
+  for (const key of coderLookups.keys()) {
+    if (key.startsWith(`${coderUrl}/workspaces`)) {
+      coderLookups.delete(key);
+    }
+  }
+}
+
+/**
+ * Forget everything cached for a deployment, e.g. when the signed-in user changes
+ */
+function clearCoderLookups(coderUrl) {
+  for (const key of coderLookups.keys()) {
+    if (key.startsWith(`${coderUrl}/`)) {
+      coderLookups.delete(key);
+    }
+  }
+}
+
+// ============================================================================
+// CODER SIGN-IN
+// ============================================================================
+
+// Renew tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+/**
+ * Current token for a Coder deployment, refreshed first when it is about to expire
+ * Returns null when not signed in (or the refresh was rejected)
+ */
+async function getCoderToken(coderUrl) {
+  const session = await getCoderSession(coderUrl);
+  if (!session) return null;
+
+  if (session.refreshToken && session.expiresAt && Date.now() > session.expiresAt - TOKEN_EXPIRY_MARGIN) {
+    try {
+      return await refreshCoderSession(coderUrl, session);
+    } catch (error) {
+      await setCoderSession(coderUrl, null);
+      return null;
+    }
+  }
+
+  return session.token;
+}
+
+/**
+ * Token to retry with after a 401, or null to give up
+ * Callers holding a token from before a refresh get the new one; otherwise the session
+ * is refreshed, and a session that cannot be refreshed is dropped so the user is asked to sign in again
+ */
+async function renewCoderToken(coderUrl, failedToken) {
+  const session = await getCoderSession(coderUrl);
+  if (!session) return null;
+
+  if (session.token !== failedToken) {
+    // An unrelated token (e.g. one being verified from the options page) is not ours to renew
+    return session.previousToken === failedToken ? session.token : null;
+  }
+
+  if (session.refreshToken) {
+    try {
+      return await refreshCoderSession(coderUrl, session);
+    } catch (error) {
+      // Fall through and drop the session
+    }
+  }
+
+  await setCoderSession(coderUrl, null);
+  return null;
+}
+
+/**
+ * Sign in through Coder's OAuth2 provider (authorization code + PKCE) in a browser auth window
+ * The OAuth2 app registered in Coder must use chrome.identity.getRedirectURL() as its callback URL
+ */
+async function signInToCoder(coderUrl, clientId) {
+  const redirectUri = chrome.identity.getRedirectURL();
+  const state = createRandomString();
+  const codeVerifier = createRandomString();
+  const codeChallenge = base64UrlEncode(
+    await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier))
+  );
+
+  const authorizeUrl = new URL(`${coderUrl}/oauth2/authorize`);
+  authorizeUrl.search = new URLSearchParams({
+    client_id: clientId,
+    response_type: 'code',
+    redirect_uri: redirectUri,
+    state: state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  const responseUrl = await chrome.identity.launchWebAuthFlow({
+    url: authorizeUrl.toString(),
+    interactive: true
+  });
+
+  const params = new URL(responseUrl).searchParams;
+  if (params.get('error')) {
+    throw new Error(params.get('error_description') || params.get('error'));
+  }
+  if (params.get('state') !== state || !params.get('code')) {
+    throw new Error('Invalid response from Coder');
+  }
+
+  const tokens = await requestCoderTokens(coderUrl, {
+    grant_type: 'authorization_code',
+    code: params.get('code'),
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+
+  await storeCoderTokens(coderUrl, tokens, { clientId });
+  return tokens.access_token;
+}
+
+async function refreshCoderSession(coderUrl, session) {
+  const tokens = await requestCoderTokens(coderUrl, {
+    grant_type: 'refresh_token',
+    refresh_token: session.refreshToken,
+    client_id: session.clientId
+  });
+
+  await storeCoderTokens(coderUrl, tokens, { clientId: session.clientId, previousToken: session.token });
+  return tokens.access_token;
+}
 
-  const response = await fetch(url, {
-    method: 'GET',
+/**
+ * POST to Coder's OAuth2 token endpoint (form-encoded, per RFC 6749)
+ */
+async function requestCoderTokens(coderUrl, params) {
+  const response = await fetch(`${coderUrl}/oauth2/tokens`, {
+    method: 'POST',
     headers: {
       'Accept': 'application/json',
-      'Coder-Session-Token': apiToken
-    }
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(params).toString()
   });
 
-  if (!response.ok) {
-    const error = new Error(`API request failed: ${response.status}`);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.access_token) {
+    const error = new Error(body.error_description || body.error || `Token request failed: ${response.status}`);
     error.status = response.status;
     throw error;
   }
 
-  return response.json();
+  return body;
+}
+
+async function storeCoderTokens(coderUrl, tokens, extra) {
+  await setCoderSession(coderUrl, {
+    token: tokens.access_token,
+    refreshToken: tokens.refresh_token || null,
+    expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null,
+    ...extra
+  });
+}
+
+function createRandomString() {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function base64UrlEncode(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
 }
 
 /**
@@ -61,15 +334,183 @@ async function verifyConnection(coderUrl, apiToken) {
 }
 
 /**
- * Check if workspace exists for given repo/branch
- * Returns detailed status including build state for smart button display
+ * Map a workspace's latest build to the state used for smart button display
+ * Status can be: pending, starting, running, stopping, stopped, failed, canceling, canceled, deleting, deleted
+ */
+function getWorkspaceState(latestBuild) {
+  if (!latestBuild) {
+    return 'unknown';
+  }
+
+  const status = latestBuild.status;
+
+  if (status === 'running') {
+    return 'running';
+  } else if (status === 'stopped') {
+    return 'stopped';
+  } else if (status === 'starting' || status === 'pending') {
+    return 'starting';
+  } else if (status === 'stopping') {
+    return 'stopping';
+  } else if (status === 'failed') {
+    return 'failed';
+  } else if (status === 'canceling' || status === 'canceled') {
+    return 'canceled';
+  } else if (status === 'deleting') {
+    return 'deleting';
+  } else if (status === 'deleted') {
+    return 'deleted';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Check whether every agent of a build is connected and finished its startup scripts
+ * Builds without agents count as ready so they never block opening
+ */
+function getAgentsReady(latestBuild) {
+  const agents = (latestBuild?.resources || []).flatMap(resource => resource.agents || []);
+
+  return agents.every(agent =>
+    agent.status === 'connected' &&
+    agent.lifecycle_state !== 'created' &&
+    agent.lifecycle_state !== 'starting'
+  );
+}
+
+/**
+ * Build the 'found' response for a Coder workspace object
  */
-async function checkWorkspace(coderUrl, apiToken, repo, branch) {
-  const workspaceName = deriveWorkspaceName(repo, branch);
+function describeWorkspace(coderUrl, workspace) {
+  const latestBuild = workspace.latest_build;
 
+  return {
+    status: 'found',
+    workspaceName: workspace.name,
+    workspaceId: workspace.id,
+    workspaceUrl: `${coderUrl}/@${workspace.owner_name}/${workspace.name}`,
+    ownerName: workspace.owner_name,
+    templateName: workspace.template_name,
+    outdated: !!workspace.outdated,
+    workspaceState: getWorkspaceState(latestBuild),
+    latestBuild: latestBuild?.status,
+    buildNumber: latestBuild?.build_number,
+    dailyCost: latestBuild?.daily_cost || 0,
+    agentsReady: getAgentsReady(latestBuild),
+    buildStartedAt: latestBuild?.job?.started_at || latestBuild?.created_at,
+    lastUsedAt: workspace.last_used_at,
+    apps: getWorkspaceApps(coderUrl, workspace)
+  };
+}
+
+// Wildcard host of subdomain apps per deployment (e.g. "*.apps.coder.example.com"), loaded by loadAppHost
+const appHosts = new Map();
+
+/**
+ * Fetch the deployment's wildcard app host once, so describeWorkspace can link subdomain apps
+ */
+async function loadAppHost(coderUrl, apiToken) {
+  if (appHosts.has(coderUrl)) {
+    return;
+  }
+
+  try {
+    const result = await coderApiRequest(coderUrl, apiToken, '/applications/host');
+    appHosts.set(coderUrl, result.host || '');
+  } catch (error) {
+    // Subdomain apps are left out until the next attempt
+  }
+}
+
+/**
+ * Ways to open a workspace, per agent: VS Code Desktop, template apps (code-server,
+ * JetBrains Gateway, custom apps) and the web terminal
+ */
+function getWorkspaceApps(coderUrl, workspace) {
+  const agents = (workspace.latest_build?.resources || []).flatMap(resource => resource.agents || []);
+  const apps = [];
+
+  for (const agent of agents) {
+    const agentUrl = `${coderUrl}/@${workspace.owner_name}/${workspace.name}.${agent.name}`;
+    const displayApps = agent.display_apps || [];
+    // Only name the agent when there is more than one to tell apart
+    const suffix = agents.length > 1 ? ` (${agent.name})` : '';
+
+    if (displayApps.includes('vscode')) {
+      const params = new URLSearchParams({
+        owner: workspace.owner_name,
+        workspace: workspace.name,
+        agent: agent.name,
+        url: coderUrl
+      });
+      if (agent.expanded_directory) {
+        params.set('folder', agent.expanded_directory);
+      }
+
+      apps.push({
+        id: 'vscode',
+        label: `VS Code Desktop${suffix}`,
+        url: `vscode://coder.coder-remote/open?${params}`,
+        icon: `${coderUrl}/icon/code.svg`,
+        healthy: true
+      });
+    }
+
+    for (const app of agent.apps || []) {
+      const url = getAppUrl(coderUrl, agentUrl, app);
+      if (app.hidden || !url) {
+        continue;
+      }
+
+      apps.push({
+        id: app.slug,
+        label: `${app.display_name || app.slug}${suffix}`,
+        url: url,
+        icon: app.icon ? new URL(app.icon, coderUrl).href : '',
+        healthy: app.health !== 'unhealthy'
+      });
+    }
+
+    if (displayApps.includes('web_terminal')) {
+      apps.push({
+        id: 'terminal',
+        label: `Terminal${suffix}`,
+        url: `${agentUrl}/terminal`,
+        icon: `${coderUrl}/icon/terminal.svg`,
+        healthy: true
+      });
+    }
+  }
+
+  return apps;
+}
+
+function getAppUrl(coderUrl, agentUrl, app) {
+  if (app.external) {
+    // Coder's dashboard swaps $SESSION_TOKEN for a fresh API key; links needing one are not offered here
+    return app.url && !app.url.includes('$SESSION_TOKEN') ? app.url : null;
+  }
+
+  if (app.subdomain) {
+    const appHost = appHosts.get(coderUrl);
+    if (!appHost || !app.subdomain_name) {
+      return null;
+    }
+    return `${new URL(coderUrl).protocol}//${appHost.replace('*', app.subdomain_name)}/`;
+  }
+
+  return `${agentUrl}/apps/${encodeURIComponent(app.slug)}/`;
+}
+
+/**
+ * Check if a workspace with the given name exists
+ * Returns detailed status including build state for smart button display
+ */
+async function checkWorkspace(coderUrl, apiToken, workspaceName) {
   try {
     // Search for workspace by name
-    const result = await coderApiRequest(
+    const result = await cachedCoderRequest(
       coderUrl,
       apiToken,
       `/workspaces?q=name:${encodeURIComponent(workspaceName)}`
@@ -80,44 +521,7 @@ async function checkWorkspace(coderUrl, apiToken, repo, branch) {
 
     if (workspace) {
       // Workspace exists - return URL to open it with detailed status
-      const workspaceUrl = `${coderUrl}/@${workspace.owner_name}/${workspace.name}`;
-      const latestBuild = workspace.latest_build;
-
-      // Determine workspace state for smart button display
-      // Status can be: pending, starting, running, stopping, stopped, failed, canceling, canceled, deleting, deleted
-      let workspaceState = 'unknown';
-      if (latestBuild) {
-        const status = latestBuild.status;
-        const transition = latestBuild.transition; // start, stop, delete
-
-        if (status === 'running') {
-          workspaceState = 'running';
-        } else if (status === 'stopped') {
-          workspaceState = 'stopped';
-        } else if (status === 'starting' || status === 'pending') {
-          workspaceState = 'starting';
-        } else if (status === 'stopping') {
-          workspaceState = 'stopping';
-        } else if (status === 'failed') {
-          workspaceState = 'failed';
-        } else if (status === 'canceling' || status === 'canceled') {
-          workspaceState = 'canceled';
-        } else if (status === 'deleting' || status === 'deleted') {
-          workspaceState = 'deleted';
-        }
-      }
-
-      return {
-        status: 'found',
-        workspaceName: workspace.name,
-        workspaceId: workspace.id,
-        workspaceUrl: workspaceUrl,
-        ownerName: workspace.owner_name,
-        templateName: workspace.template_name,
-        workspaceState: workspaceState,
-        latestBuild: latestBuild?.status,
-        lastUsedAt: workspace.last_used_at
-      };
+      return describeWorkspace(coderUrl, workspace);
     } else {
       // Workspace doesn't exist - return URL to create it
       return {
@@ -139,32 +543,16 @@ async function checkWorkspace(coderUrl, apiToken, repo, branch) {
  */
 async function startWorkspace(coderUrl, apiToken, workspaceId) {
   try {
-    const url = `${coderUrl}/api/v2/workspaces/${workspaceId}/builds`;
-
-    const response = await fetch(url, {
+    await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}/builds`, {
       method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'Coder-Session-Token': apiToken
-      },
-      body: JSON.stringify({
-        transition: 'start'
-      })
+      body: { transition: 'start' }
     });
-
-    if (!response.ok) {
-      const error = new Error(`Start workspace failed: ${response.status}`);
-      error.status = response.status;
-      throw error;
-    }
-
     return { success: true };
   } catch (error) {
     return {
       success: false,
       error: error.status === 401 ? 'API token expired or invalid' :
-        `Failed to start workspace: ${error.message}`
+        `Failed to start workspace: ${error.detail || error.message}`
     };
   }
 }
@@ -174,128 +562,2278 @@ async function startWorkspace(coderUrl, apiToken, workspaceId) {
  */
 async function stopWorkspace(coderUrl, apiToken, workspaceId) {
   try {
-    const url = `${coderUrl}/api/v2/workspaces/${workspaceId}/builds`;
-
-    const response = await fetch(url, {
+    await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}/builds`, {
       method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'Coder-Session-Token': apiToken
-      },
-      body: JSON.stringify({
-        transition: 'stop'
-      })
+      body: { transition: 'stop' }
     });
-
-    if (!response.ok) {
-      const error = new Error(`Stop workspace failed: ${response.status}`);
-      error.status = response.status;
-      throw error;
-    }
-
     return { success: true };
   } catch (error) {
     return {
       success: false,
       error: error.status === 401 ? 'API token expired or invalid' :
-        `Failed to stop workspace: ${error.message}`
+        `Failed to stop workspace: ${error.detail || error.message}`
     };
   }
 }
 
 /**
- * Get available templates
+ * Storage key for the workspace name mapping of a repo/branch
  */
-async function getTemplates(coderUrl, apiToken) {
-  try {
-    const result = await coderApiRequest(coderUrl, apiToken, '/templates');
-    return {
-      success: true,
-      templates: result.map(t => ({
-        id: t.id,
-        name: t.name,
-        displayName: t.display_name || t.name,
-        description: t.description,
-        icon: t.icon
-      }))
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message
-    };
+function getWorkspaceNameKey(owner, repo, branch, pullRequest, ref) {
+  if (isPinnedLaunch(ref)) {
+    return `${owner}/${repo}@${ref.sha}`;
   }
+
+  // A pull request keeps its workspace whatever its head branch is called
+  return pullRequest ? `${owner}/${repo}#pull/${pullRequest.number}` : `${owner}/${repo}#${branch}`;
 }
 
-// Message handler for content script communication
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Handle async responses
-  (async () => {
-    try {
-      // Get settings
-      const settings = await chrome.storage.sync.get([
-        'coderUrl', 'coderApiToken', 'launcherUrl', 'gheUrl'
-      ]);
+/**
+ * Name to use for a repo/branch (or pull request, or pinned commit): the one stored when its workspace
+ * was last found or created, otherwise derived from the naming pattern. A derived name
+ * already claimed by another repo/branch gets the hash suffix.
+ */
+async function resolveWorkspaceName(settings, owner, repo, branch, pullRequest, ref) {
+  const key = getWorkspaceNameKey(owner, repo, branch, pullRequest, ref);
+  const { workspaceNames = {} } = await chrome.storage.local.get('workspaceNames');
 
-      switch (request.action) {
-        case 'VERIFY_CONNECTION': {
-          const result = await verifyConnection(
-            request.coderUrl || settings.coderUrl,
-            request.apiToken || settings.coderApiToken
-          );
-          sendResponse(result);
-          break;
-        }
+  if (workspaceNames[key]) {
+    return workspaceNames[key];
+  }
 
-        case 'CHECK_WORKSPACE': {
-          if (!settings.coderUrl || !settings.coderApiToken) {
-            sendResponse({
-              status: 'unconfigured',
-              error: 'Coder API not configured'
-            });
-            break;
-          }
+  const name = deriveLaunchWorkspaceName(settings, owner, repo, branch, pullRequest, ref);
+  const claimed = Object.entries(workspaceNames).some(([other, otherName]) => other !== key && otherName === name);
 
-          const result = await checkWorkspace(
-            settings.coderUrl,
-            settings.coderApiToken,
-            request.repo,
-            request.branch
-          );
+  return claimed ? deriveLaunchWorkspaceName(settings, owner, repo, branch, pullRequest, ref, true) : name;
+}
 
-          // Include launcher URL for fallback/create action
-          if (result.status === 'missing' && settings.launcherUrl) {
-            result.launcherUrl = settings.launcherUrl;
-          }
+function deriveLaunchWorkspaceName(settings, owner, repo, branch, pullRequest, ref, forceHash = false) {
+  return deriveWorkspaceName(
+    getWorkspaceNamePattern(settings, pullRequest, ref),
+    getWorkspaceNameValues(owner, repo, branch, pullRequest, ref),
+    forceHash
+  );
+}
 
-          sendResponse(result);
-          break;
-        }
+async function rememberWorkspaceName(owner, repo, branch, pullRequest, ref, workspaceName) {
+  const key = getWorkspaceNameKey(owner, repo, branch, pullRequest, ref);
+  const { workspaceNames = {} } = await chrome.storage.local.get('workspaceNames');
 
-        case 'GET_TEMPLATES': {
-          if (!settings.coderUrl || !settings.coderApiToken) {
-            sendResponse({
-              success: false,
-              error: 'Coder API not configured'
-            });
-            break;
-          }
+  if (workspaceNames[key] !== workspaceName) {
+    workspaceNames[key] = workspaceName;
+    await chrome.storage.local.set({ workspaceNames });
+  }
+}
 
-          const result = await getTemplates(
-            settings.coderUrl,
-            settings.coderApiToken
-          );
-          sendResponse(result);
-          break;
-        }
+async function forgetWorkspaceName(owner, repo, branch, pullRequest, ref) {
+  const key = getWorkspaceNameKey(owner, repo, branch, pullRequest, ref);
+  const { workspaceNames = {} } = await chrome.storage.local.get('workspaceNames');
 
-        case 'GET_SETTINGS': {
-          sendResponse({
-            coderUrl: settings.coderUrl,
+  if (key in workspaceNames) {
+    delete workspaceNames[key];
+    await chrome.storage.local.set({ workspaceNames });
+  }
+}
+
+/**
+ * Check for the workspace of a repo/branch, keeping the stored name mapping in sync
+ * For pull requests the code comes from the head repo, which is what workspace parameters point at
+ */
+async function findWorkspace(settings, owner, repo, branch, pullRequest, ref) {
+  const workspaceName = await resolveWorkspaceName(settings, owner, repo, branch, pullRequest, ref);
+  const roles = getParameterRoles(settings);
+  const sourceOwner = pullRequest?.headOwner || owner;
+  const sourceRepo = pullRequest?.headRepo || repo;
+
+  // Without repo/branch parameters to read, the name is all we can go by
+  const result = Object.keys(roles).length === 0 ?
+    await checkWorkspace(settings.coderUrl, settings.coderApiToken, workspaceName) :
+    await checkWorkspaceBySource(settings.coderUrl, settings.coderApiToken, roles, workspaceName, sourceOwner, sourceRepo, branch);
+
+  if (result.status === 'found') {
+    await rememberWorkspaceName(owner, repo, branch, pullRequest, ref, result.workspaceName);
+    return result;
+  }
+
+  if (result.status === 'missing') {
+    // The stored workspace is gone - offer the name a new one would get
+    await forgetWorkspaceName(owner, repo, branch, pullRequest, ref);
+    result.workspaceName = await resolveWorkspaceName(settings, owner, repo, branch, pullRequest, ref);
+  }
+
+  return result;
+}
+
+/**
+ * Create the workspace of a launch under its resolved name, remembering the name on success
+ * A name already taken by a workspace we don't know about is retried with the hash suffix
+ */
+async function createLaunchWorkspace(settings, owner, repo, branch, pullRequest, ref, values, templateName) {
+  const create = (workspaceName) => createWorkspace(
+    settings.coderUrl,
+    settings.coderApiToken,
+    templateName,
+    buildRichParameters(getParameterSpec(settings, owner, repo), {
+      ...values,
+      name: workspaceName
+    }),
+    workspaceName
+  );
+
+  let workspaceName = await resolveWorkspaceName(settings, owner, repo, branch, pullRequest, ref);
+  let result = await create(workspaceName);
+
+  if (result.conflict) {
+    workspaceName = deriveLaunchWorkspaceName(settings, owner, repo, branch, pullRequest, ref, true);
+    result = await create(workspaceName);
+  }
+
+  if (result.status === 'found') {
+    await rememberWorkspaceName(owner, repo, branch, pullRequest, ref, workspaceName);
+  }
+
+  return result;
+}
+
+/**
+ * Restart a workspace: stop it if needed, then start it again
+ * Only the first step is queued here; the build watcher starts the workspace once the stop
+ * (or a build already in flight) has settled. Pass templateVersionId to start on a different template version.
+ */
+async function restartWorkspace(coderUrl, apiToken, workspaceId, templateVersionId) {
+  const buildsEndpoint = `/workspaces/${workspaceId}/builds`;
+
+  const workspace = await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}`);
+  const status = workspace.latest_build?.status;
+
+  if (status === 'stopped' || status === 'failed' || status === 'canceled') {
+    await coderApiRequest(coderUrl, apiToken, buildsEndpoint, {
+      method: 'POST',
+      body: getStartBuildBody(templateVersionId)
+    });
+    return;
+  }
+
+  // An in-flight build is left to finish; the watcher stops or starts once it settles
+  if (status === 'running') {
+    await coderApiRequest(coderUrl, apiToken, buildsEndpoint, {
+      method: 'POST',
+      body: { transition: 'stop' }
+    });
+  }
+
+  watchWorkspaceBuild(coderUrl, apiToken, workspaceId, false, null, null);
+  buildWatchers.get(workspaceId).pendingStart = { templateVersionId: templateVersionId || null };
+  saveBuildWatchers();
+}
+
+function getStartBuildBody(templateVersionId) {
+  const body = { transition: 'start' };
+  if (templateVersionId) {
+    body.template_version_id = templateVersionId;
+  }
+  return body;
+}
+
+/**
+ * Restart a workspace on its current template version
+ */
+async function rebootWorkspace(coderUrl, apiToken, workspaceId) {
+  try {
+    await restartWorkspace(coderUrl, apiToken, workspaceId);
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to restart workspace: ${error.detail || error.message}`
+    };
+  }
+}
+
+/**
+ * Restart a workspace on its template's active version
+ */
+async function updateWorkspace(coderUrl, apiToken, workspaceId) {
+  try {
+    const workspace = await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}`);
+    await restartWorkspace(coderUrl, apiToken, workspaceId, workspace.template_active_version_id);
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to update workspace: ${error.detail || error.message}`
+    };
+  }
+}
+
+/**
+ * Delete a workspace (queues a delete build)
+ */
+async function deleteWorkspace(coderUrl, apiToken, workspaceId) {
+  try {
+    await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}/builds`, {
+      method: 'POST',
+      body: { transition: 'delete' }
+    });
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to delete workspace: ${error.detail || error.message}`
+    };
+  }
+}
+
+/**
+ * Start a workspace again after its latest start build failed or was canceled
+ * Failed stops and deletes are not retried here: they are redone from the workspace actions.
+ * With debug, the provisioner logs at debug level - Coder only allows this for template
+ * admins unless the deployment enables it for everyone
+ */
+async function retryBuild(coderUrl, apiToken, workspaceId, debug) {
+  try {
+    const workspace = await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}`);
+    const transition = workspace.latest_build?.transition;
+
+    if (transition !== 'start') {
+      return {
+        success: false,
+        error: `The last build was a ${transition || 'build'}, not a start - only starts can be retried`
+      };
+    }
+
+    const body = { transition: 'start' };
+    if (debug) {
+      body.log_level = 'debug';
+    }
+
+    await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}/builds`, {
+      method: 'POST',
+      body: body
+    });
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to retry build: ${error.detail || error.message}`
+    };
+  }
+}
+
+// Log lines shown per source; failures are nearly always explained at the end
+const BUILD_LOG_TAIL = 80;
+
+/**
+ * Last lines of a log as { level, text }; provisioner logs get a line for each stage they enter
+ */
+function tailLogLines(logs) {
+  const lines = [];
+  let stage = null;
+
+  for (const log of logs || []) {
+    if (log.stage && log.stage !== stage) {
+      stage = log.stage;
+      lines.push({ level: 'stage', text: stage });
+    }
+    lines.push({ level: log.log_level || log.level || 'info', text: log.output || '' });
+  }
+
+  return lines.slice(-BUILD_LOG_TAIL);
+}
+
+/**
+ * Why the latest build of a workspace ended the way it did: its job error and the tail of the
+ * provisioner logs and of each agent's startup logs
+ */
+async function getBuildLogs(coderUrl, apiToken, workspaceId) {
+  try {
+    const workspace = await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}`);
+    const result = describeWorkspace(coderUrl, workspace);
+    const build = workspace.latest_build;
+
+    const provisionerLogs = build?.id ?
+      await coderApiRequest(coderUrl, apiToken, `/workspacebuilds/${build.id}/logs`) :
+      [];
+
+    // Agents only have logs once they connected; a missing log isn't worth failing the rest
+    const agents = (build?.resources || []).flatMap(resource => resource.agents || []);
+    const agentLogs = await Promise.all(agents.map(async agent => ({
+      name: agent.name,
+      lifecycleState: agent.lifecycle_state,
+      lines: tailLogLines(
+        await coderApiRequest(coderUrl, apiToken, `/workspaceagents/${agent.id}/logs`).catch(() => [])
+      )
+    })));
+
+    return {
+      success: true,
+      workspaceName: result.workspaceName,
+      workspaceState: result.workspaceState,
+      buildStatus: build?.status,
+      transition: build?.transition,
+      jobError: build?.job?.error || null,
+      logsUrl: getBuildLogsUrl(result),
+      provisionerLogs: tailLogLines(provisionerLogs),
+      agentLogs: agentLogs
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to load build logs: ${error.detail || error.message}`
+    };
+  }
+}
+
+/**
+ * Parse the "name=value" lines from the options page into Coder rich parameter values
+ */
+function buildRichParameters(spec, values) {
+  if (!spec) {
+    return [];
+  }
+
+  // Later lines override earlier ones with the same name
+  const parameters = new Map();
+
+  spec
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && line.includes('='))
+    .forEach(line => {
+      const index = line.indexOf('=');
+      const name = line.slice(0, index).trim();
+      parameters.set(name, {
+        name: name,
+        value: fillPlaceholders(line.slice(index + 1).trim(), values)
+      });
+    });
+
+  return [...parameters.values()];
+}
+
+/**
+ * Create a named workspace from a template
+ * A name already taken is reported with conflict: true so the caller can retry
+ */
+async function createWorkspace(coderUrl, apiToken, templateName, richParameterValues, workspaceName) {
+  try {
+    const templates = await coderApiRequest(coderUrl, apiToken, '/templates');
+    const template = templates.find(t => t.name === templateName);
+
+    if (!template) {
+      return {
+        status: 'error',
+        error: `Template "${templateName}" not found`
+      };
+    }
+
+    const workspace = await coderApiRequest(coderUrl, apiToken, '/users/me/workspaces', {
+      method: 'POST',
+      body: {
+        template_id: template.id,
+        name: workspaceName,
+        rich_parameter_values: richParameterValues
+      }
+    });
+
+    return describeWorkspace(coderUrl, workspace);
+  } catch (error) {
+    return {
+      status: 'error',
+      conflict: error.status === 409,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to create workspace: ${error.detail || error.message}`
+    };
+  }
+}
+
+// Workspaces followed until their build settles, keyed by workspace ID
+// Kept in chrome.storage.session too, so a restarted service worker picks them up again
+const buildWatchers = new Map();
+
+const BUILD_POLL_INTERVAL = 2000;
+const BUILD_WATCH_TIMEOUT = 15 * 60 * 1000;
+const BUILD_WATCH_MAX_FAILURES = 5;
+
+/**
+ * A build has settled once it is no longer transitioning and, when running,
+ * its agents are connected
+ */
+function isBuildSettled(result) {
+  const state = result.workspaceState;
+
+  if (state === 'starting' || state === 'stopping' || state === 'deleting') {
+    return false;
+  }
+
+  return state !== 'running' || result.agentsReady;
+}
+
+/**
+ * Send a workspace update to every tab and extension page (popup); each
+ * receiver decides whether it shows that workspace
+ * badgeState is the status dot for it, or null when the update doesn't change the dot (errors)
+ */
+async function broadcastWorkspaceUpdate(workspace) {
+  const message = {
+    action: 'WORKSPACE_UPDATE',
+    workspace,
+    badgeState: workspace.status === 'found' ? getBadgeState(workspace.workspaceState) :
+      workspace.status === 'missing' ? 'none' : null
+  };
+
+  chrome.runtime.sendMessage(message).catch(() => {
+    // Popup not open
+  });
+
+  const tabs = await chrome.tabs.query({});
+
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {
+      // No content script in this tab
+    });
+  }
+}
+
+/**
+ * Open a workspace page or app: web pages in a new tab, desktop apps (vscode://, jetbrains-gateway://)
+ * through the active tab, which hands the link to the application and stays where it is
+ */
+function openAppUrl(url) {
+  if (isDesktopAppUrl(url)) {
+    chrome.tabs.update({ url });
+  } else {
+    chrome.tabs.create({ url });
+  }
+}
+
+/**
+ * Write the build watchers and the builds to report to session storage
+ */
+function saveBuildWatchers() {
+  chrome.storage.session.set({
+    buildWatchers: Object.fromEntries(buildWatchers),
+    startedBuilds: Object.fromEntries(startedBuilds)
+  }).catch(() => {
+    // Only lost if the worker restarts before the next save
+  });
+}
+
+/**
+ * Start following a workspace build (no-op if it is already followed)
+ * With openWhenReady, the workspace is opened once its agents connect: at openUrl (e.g. a
+ * file in the editor) when given, otherwise in the app picked by the openWith preference
+ */
+function watchWorkspaceBuild(coderUrl, apiToken, workspaceId, openWhenReady, openUrl, openWith) {
+  const existing = buildWatchers.get(workspaceId);
+  if (existing) {
+    existing.openWhenReady = existing.openWhenReady || openWhenReady;
+    existing.openUrl = openUrl || existing.openUrl;
+    existing.openWith = existing.openWith || openWith;
+    saveBuildWatchers();
+    return;
+  }
+
+  buildWatchers.set(workspaceId, {
+    coderUrl: coderUrl,
+    openWhenReady: openWhenReady,
+    openUrl: openUrl,
+    openWith: openWith,
+    startedAt: Date.now(),
+    failures: 0,
+    pendingStart: null,
+    lastSnapshot: null
+  });
+  saveBuildWatchers();
+
+  setTimeout(() => pollWorkspaceBuild(coderUrl, apiToken, workspaceId), BUILD_POLL_INTERVAL);
+}
+
+async function pollWorkspaceBuild(coderUrl, apiToken, workspaceId) {
+  const watcher = buildWatchers.get(workspaceId);
+  if (!watcher) {
+    return;
+  }
+
+  let result;
+  try {
+    const workspace = await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}`);
+    result = describeWorkspace(coderUrl, workspace);
+    watcher.failures = 0;
+  } catch (error) {
+    // Gone after a delete build completed
+    if (error.status === 404 || error.status === 410) {
+      buildWatchers.delete(workspaceId);
+      startedBuilds.delete(workspaceId);
+      saveBuildWatchers();
+      await broadcastWorkspaceUpdate({ status: 'missing', workspaceId: workspaceId });
+      return;
+    }
+
+    watcher.failures++;
+    if (watcher.failures < BUILD_WATCH_MAX_FAILURES) {
+      setTimeout(() => pollWorkspaceBuild(coderUrl, apiToken, workspaceId), BUILD_POLL_INTERVAL);
+      return;
+    }
+    result = {
+      status: 'error',
+      workspaceId: workspaceId,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to check workspace: ${error.message}`
+    };
+  }
+
+  const timedOut = Date.now() - watcher.startedAt > BUILD_WATCH_TIMEOUT;
+  const settled = result.status !== 'found' || isBuildSettled(result);
+
+  // Only a changed state, build status or agent readiness makes cached lookups stale and is worth
+  // telling the tabs about; unchanged polls leave the lookup cache alone
+  const snapshot = [result.status, result.workspaceState, result.latestBuild, result.agentsReady, result.error].join('|');
+  if (snapshot !== watcher.lastSnapshot) {
+    watcher.lastSnapshot = snapshot;
+    invalidateWorkspaceLookups(coderUrl);
+    await broadcastWorkspaceUpdate(result);
+  }
+
+  if (!settled && !timedOut) {
+    setTimeout(() => pollWorkspaceBuild(coderUrl, apiToken, workspaceId), BUILD_POLL_INTERVAL);
+    return;
+  }
+
+  // Second half of a restart: stop what came up running, start what has stopped
+  if (settled && watcher.pendingStart && result.status === 'found' &&
+    (result.workspaceState === 'running' || result.workspaceState === 'stopped')) {
+    try {
+      if (result.workspaceState === 'running') {
+        await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}/builds`, {
+          method: 'POST',
+          body: { transition: 'stop' }
+        });
+      } else {
+        await coderApiRequest(coderUrl, apiToken, `/workspaces/${workspaceId}/builds`, {
+          method: 'POST',
+          body: getStartBuildBody(watcher.pendingStart.templateVersionId)
+        });
+        watcher.pendingStart = null;
+        watcher.startedAt = Date.now();
+        saveBuildWatchers();
+      }
+      setTimeout(() => pollWorkspaceBuild(coderUrl, apiToken, workspaceId), BUILD_POLL_INTERVAL);
+      return;
+    } catch (error) {
+      result = {
+        status: 'error',
+        workspaceId: workspaceId,
+        error: error.status === 401 ? 'API token expired or invalid' :
+          `Failed to restart workspace: ${error.detail || error.message}`
+      };
+      await broadcastWorkspaceUpdate(result);
+    }
+  }
+
+  buildWatchers.delete(workspaceId);
+
+  if (startedBuilds.has(workspaceId)) {
+    notifyBuildOutcome(result, startedBuilds.get(workspaceId), timedOut, watcher.openWith);
+    startedBuilds.delete(workspaceId);
+  }
+  saveBuildWatchers();
+
+  if (watcher.openWhenReady && result.workspaceState === 'running' && result.agentsReady) {
+    const app = findPreferredApp(result.apps, watcher.openWith);
+    openAppUrl(watcher.openUrl || app?.url || result.workspaceUrl);
+  }
+}
+
+/**
+ * Get available templates
+ */
+async function getTemplates(coderUrl, apiToken) {
+  try {
+    const result = await coderApiRequest(coderUrl, apiToken, '/templates');
+    return {
+      success: true,
+      templates: result.map(t => ({
+        id: t.id,
+        name: t.name,
+        displayName: t.display_name || t.name,
+        description: t.description,
+        // Template icons are usually relative paths like /emojis/1f40d.png
+        icon: t.icon ? new URL(t.icon, coderUrl).href : ''
+      }))
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// ============================================================================
+// WORKSPACE QUOTA
+// ============================================================================
+
+// Share of the quota budget a launch may bring usage to before the create flow asks first
+const QUOTA_WARNING_RATIO = 0.8;
+// Running workspaces suggested for stopping
+const MAX_STOP_SUGGESTIONS = 5;
+// Parameters that size a workspace, shown next to its cost
+const SIZE_PARAMETER_PATTERN = /cpu|core|memory|ram|disk|storage|gpu|instance|machine|size/i;
+
+/**
+ * The user's quota: { budget, consumed } in credits per day, or null when the deployment has none
+ */
+async function getWorkspaceQuota(coderUrl, apiToken) {
+  try {
+    const quota = await coderApiRequest(coderUrl, apiToken, '/workspace-quota/me');
+    return { budget: quota.budget || 0, consumed: quota.credits_consumed || 0 };
+  } catch (error) {
+    // Quotas are a Premium feature; other deployments don't serve the endpoint
+    if (error.status === 404 || error.status === 403) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Daily cost of a running workspace from a template, summed over the resources of its active version
+ */
+async function getTemplateDailyCost(coderUrl, apiToken, templateName) {
+  const templates = await cachedCoderRequest(coderUrl, apiToken, '/templates');
+  const template = templates.find(t => t.name === templateName);
+  if (!template) {
+    return 0;
+  }
+
+  const resources = await cachedCoderRequest(
+    coderUrl,
+    apiToken,
+    `/templateversions/${template.active_version_id}/resources`,
+    BUILD_PARAMETERS_TTL
+  );
+
+  return (resources || [])
+    .filter(resource => !resource.workspace_transition || resource.workspace_transition === 'start')
+    .reduce((sum, resource) => sum + (resource.daily_cost || 0), 0);
+}
+
+/**
+ * Whether creating a workspace from a template fits the user's quota
+ * Returns the quota, the workspace's daily cost and sizing parameters, whether it would go over
+ * (or close to) the budget, and the running workspaces to stop first, least recently used first
+ */
+async function checkLaunchQuota(settings, owner, repo, templateName, values) {
+  try {
+    const [quota, cost, listing] = await Promise.all([
+      getWorkspaceQuota(settings.coderUrl, settings.coderApiToken),
+      getTemplateDailyCost(settings.coderUrl, settings.coderApiToken, templateName),
+      cachedCoderRequest(settings.coderUrl, settings.coderApiToken, '/workspaces?q=owner:me')
+    ]);
+
+    const parameters = buildRichParameters(getParameterSpec(settings, owner, repo), values || {})
+      .filter(parameter => SIZE_PARAMETER_PATTERN.test(parameter.name));
+
+    const idleWorkspaces = (listing.workspaces || [])
+      .map(workspace => describeWorkspace(settings.coderUrl, workspace))
+      .filter(workspace => workspace.workspaceState === 'running')
+      .sort((a, b) => new Date(a.lastUsedAt || 0) - new Date(b.lastUsedAt || 0))
+      .slice(0, MAX_STOP_SUGGESTIONS)
+      .map(workspace => ({
+        workspaceId: workspace.workspaceId,
+        workspaceName: workspace.workspaceName,
+        workspaceUrl: workspace.workspaceUrl,
+        lastUsedAt: workspace.lastUsedAt,
+        dailyCost: workspace.dailyCost
+      }));
+
+    const usage = quota ? quota.consumed + cost : 0;
+
+    return {
+      success: true,
+      quota: quota,
+      cost: cost,
+      parameters: parameters,
+      overQuota: !!quota && cost > 0 && usage > quota.budget,
+      nearQuota: !!quota && cost > 0 && usage > quota.budget * QUOTA_WARNING_RATIO,
+      idleWorkspaces: idleWorkspaces
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to check quota: ${error.detail || error.message}`
+    };
+  }
+}
+
+/**
+ * Launch profile for a repo: the matching user profile over the repo's own config,
+ * when the request loaded it (settings.repoProfile)
+ */
+function getLaunchProfile(settings, owner, repo) {
+  return resolveLaunchProfile(settings.launchProfiles, owner, repo, settings.repoProfile);
+}
+
+/**
+ * Pick the template for a repo: the last one picked on the button, then the
+ * launch profile's template (the user's, then the repo's), then the global template
+ */
+async function resolveTemplate(settings, owner, repo) {
+  const { repoTemplates = {} } = await chrome.storage.local.get('repoTemplates');
+  const picked = repoTemplates[`${owner}/${repo}`];
+  if (picked) {
+    return picked;
+  }
+
+  const profile = getLaunchProfile(settings, owner, repo);
+  return profile?.coderTemplate || settings.coderTemplate || null;
+}
+
+/**
+ * Parameter lines for a repo: the global ones followed by the repo's and the matching
+ * launch profile's extra parameters (later ones win on duplicate names)
+ */
+function getParameterSpec(settings, owner, repo) {
+  const profile = getLaunchProfile(settings, owner, repo);
+  return [settings.coderParameters, profile?.parameters].filter(Boolean).join('\n');
+}
+
+/**
+ * Map Coder parameter names to the placeholder they are filled from,
+ * e.g. "repo_url={ssh_url}" gives { repo_url: 'ssh_url' }
+ * Reads the workspace parameters and param.* entries of the launcher URL,
+ * globally, from the repo's config and from every launch profile
+ */
+function getParameterRoles(settings) {
+  const roles = {};
+  const profiles = settings.launchProfiles || [];
+  const specs = [settings.coderParameters, settings.repoProfile?.parameters, ...profiles.map(profile => profile.parameters)];
+  const launcherUrls = [settings.launcherUrl, ...profiles.map(profile => profile.launcherUrl)];
+
+  for (const spec of specs) {
+    for (const { name, value } of buildRichParameters(spec, {})) {
+      const match = value.match(/^\{(\w+)\}$/);
+      if (match && !roles[name]) {
+        roles[name] = match[1];
+      }
+    }
+  }
+
+  for (const launcherUrl of launcherUrls.filter(Boolean)) {
+    try {
+      for (const [key, value] of new URL(launcherUrl).searchParams) {
+        const match = key.startsWith('param.') && value.match(/^\{(\w+)\}$/);
+        if (match && !roles[key.slice(6)]) {
+          roles[key.slice(6)] = match[1];
+        }
+      }
+    } catch (e) {
+      // Launcher URL is not a valid URL
+    }
+  }
+
+  return roles;
+}
+
+/**
+ * Parse owner/repo out of an SSH or HTTPS clone URL
+ */
+function parseCloneUrl(url) {
+  const match = url.match(/[:/]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+/**
+ * Read the repo/branch a workspace was created for from its build parameters
+ * Returns null when the template's parameters don't identify a repo
+ */
+async function getWorkspaceSource(coderUrl, apiToken, workspace, roles) {
+  if (!workspace.latest_build?.id || Object.keys(roles).length === 0) {
+    return null;
+  }
+
+  const parameters = await cachedCoderRequest(
+    coderUrl,
+    apiToken,
+    `/workspacebuilds/${workspace.latest_build.id}/parameters`,
+    BUILD_PARAMETERS_TTL
+  );
+
+  const values = {};
+  for (const parameter of parameters || []) {
+    if (roles[parameter.name]) {
+      values[roles[parameter.name]] = parameter.value;
+    }
+  }
+
+  const fromUrl = values.ssh_url ? parseCloneUrl(values.ssh_url) : null;
+  const source = {
+    owner: values.owner || fromUrl?.owner,
+    repo: values.repo || fromUrl?.repo,
+    branch: values.branch
+  };
+
+  return source.repo ? source : null;
+}
+
+/**
+ * Fetch the user's workspaces, each described and tagged with its source repo/branch
+ */
+async function getWorkspacesWithSources(coderUrl, apiToken, roles) {
+  const result = await cachedCoderRequest(coderUrl, apiToken, '/workspaces?q=owner:me');
+
+  return Promise.all((result.workspaces || []).map(async workspace => ({
+    ...describeWorkspace(coderUrl, workspace),
+    source: await getWorkspaceSource(coderUrl, apiToken, workspace, roles).catch(() => null)
+  })));
+}
+
+/**
+ * Whether a workspace source points at owner/repo
+ * Owner and repo compare case-insensitively like GitHub does; the owner is
+ * skipped when the template only records the repo name
+ */
+function isSameRepo(source, owner, repo) {
+  return source.repo.toLowerCase() === repo.toLowerCase() &&
+    (!source.owner || source.owner.toLowerCase() === owner.toLowerCase());
+}
+
+/**
+ * Whether a workspace source points at owner/repo on branch
+ */
+function isSameSource(source, owner, repo, branch) {
+  return isSameRepo(source, owner, repo) && source.branch === branch;
+}
+
+/**
+ * Find every workspace created for owner/repo/branch by reading its build parameters
+ * Workspaces whose parameters don't identify a repo still match by name.
+ * When several match, the one with the preferred name (stored choice) is returned,
+ * otherwise a running one, otherwise the most recently used; all of them are in `matches`.
+ */
+async function checkWorkspaceBySource(coderUrl, apiToken, roles, workspaceName, owner, repo, branch) {
+  try {
+    const workspaces = await getWorkspacesWithSources(coderUrl, apiToken, roles);
+
+    const matches = workspaces.filter(workspace =>
+      workspace.source ?
+        isSameSource(workspace.source, owner, repo, branch) :
+        workspace.workspaceName === workspaceName
+    );
+
+    if (matches.length === 0) {
+      return {
+        status: 'missing',
+        workspaceName: workspaceName
+      };
+    }
+
+    const preferred = matches.find(workspace => workspace.workspaceName === workspaceName) ||
+      [...matches].sort((a, b) =>
+        (b.workspaceState === 'running') - (a.workspaceState === 'running') ||
+        new Date(b.lastUsedAt || 0) - new Date(a.lastUsedAt || 0)
+      )[0];
+
+    return matches.length > 1 ? { ...preferred, matches: matches } : preferred;
+  } catch (error) {
+    return {
+      status: 'error',
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to check workspace: ${error.message}`
+    };
+  }
+}
+
+/**
+ * List every workspace of the authenticated user with the repo/branch it belongs to
+ */
+async function listWorkspaces(coderUrl, apiToken, roles) {
+  try {
+    const workspaces = await getWorkspacesWithSources(coderUrl, apiToken, roles);
+
+    return {
+      success: true,
+      workspaces: workspaces
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to list workspaces: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Workspaces on every Coder deployment, each with the coderUrl it lives on
+ * Deployments without a session are listed in signInRequired when OAuth2 is set up for them;
+ * other unconnected deployments and failed listings go in errors, so one unreachable
+ * deployment doesn't hide the others
+ */
+async function listAllWorkspaces(deployments, roles) {
+  const workspaces = [];
+  const signInRequired = [];
+  const errors = [];
+
+  for (const deployment of deployments) {
+    const apiToken = await getCoderToken(deployment.coderUrl);
+    if (!apiToken) {
+      if (deployment.coderOAuthClientId) {
+        signInRequired.push(deployment.coderUrl);
+      } else {
+        errors.push({ coderUrl: deployment.coderUrl, error: 'Not connected - set up the connection in the options' });
+      }
+      continue;
+    }
+
+    await loadAppHost(deployment.coderUrl, apiToken);
+    const result = await listWorkspaces(deployment.coderUrl, apiToken, roles);
+    if (result.success) {
+      workspaces.push(...result.workspaces.map(workspace => ({ ...workspace, coderUrl: deployment.coderUrl })));
+    } else {
+      errors.push({ coderUrl: deployment.coderUrl, error: result.error });
+    }
+  }
+
+  return { success: true, workspaces, signInRequired, errors };
+}
+
+/**
+ * Badge state of a workspace: running, transitioning (a build in progress) or stopped
+ * Failed and canceled builds leave the workspace down, so they count as stopped
+ */
+function getBadgeState(workspaceState) {
+  if (workspaceState === 'running') {
+    return 'running';
+  }
+  if (workspaceState === 'starting' || workspaceState === 'stopping' || workspaceState === 'deleting') {
+    return 'transitioning';
+  }
+  return 'stopped';
+}
+
+/**
+ * Whether a workspace belongs to a badge target: a branch ({ owner, repo, branch }), a pull request
+ * ({ owner, repo, pullRequest: { number } }) or a whole repo ({ owner, repo })
+ * Branches match by source like the button; pull request rows don't show the head branch, so
+ * pull requests and workspaces without a source match by the name the button would use
+ */
+function matchesBadgeTarget(workspace, target, workspaceName, repoNames) {
+  const { owner, repo, branch, pullRequest } = target;
+
+  if (!branch && !pullRequest) {
+    return workspace.source ?
+      isSameRepo(workspace.source, owner, repo) :
+      repoNames.includes(workspace.workspaceName);
+  }
+
+  if (workspace.source && !pullRequest) {
+    return isSameSource(workspace.source, owner, repo, branch);
+  }
+
+  return workspace.workspaceName === workspaceName;
+}
+
+/**
+ * Workspace status of many branches, pull requests or repos at once, from a single workspace listing
+ * Returns { success, badges } with a badge per target key: { state, workspaceId, workspaceName, workspaceState, count },
+ * state 'none' when no workspace belongs to the target
+ */
+async function getWorkspaceBadges(settings, targets) {
+  try {
+    const workspaces = await getWorkspacesWithSources(
+      settings.coderUrl,
+      settings.coderApiToken,
+      getParameterRoles(settings)
+    );
+    const { workspaceNames = {} } = await chrome.storage.local.get('workspaceNames');
+    const badges = {};
+
+    for (const target of targets) {
+      const { owner, repo, branch, pullRequest } = target;
+      const workspaceName = branch || pullRequest ?
+        await resolveWorkspaceName(settings, owner, repo, branch || '', pullRequest || null, null) :
+        null;
+      const repoNames = Object.entries(workspaceNames)
+        .filter(([key]) => key.startsWith(`${owner}/${repo}#`) || key.startsWith(`${owner}/${repo}@`))
+        .map(([, name]) => name);
+
+      const matches = workspaces.filter(workspace => matchesBadgeTarget(workspace, target, workspaceName, repoNames));
+      if (matches.length === 0) {
+        badges[target.key] = { state: 'none', count: 0 };
+        continue;
+      }
+
+      // Same preference as the button: a running workspace, then the most recently used
+      const workspace = [...matches].sort((a, b) =>
+        (b.workspaceState === 'running') - (a.workspaceState === 'running') ||
+        new Date(b.lastUsedAt || 0) - new Date(a.lastUsedAt || 0)
+      )[0];
+
+      badges[target.key] = {
+        state: getBadgeState(workspace.workspaceState),
+        workspaceId: workspace.workspaceId,
+        workspaceName: workspace.workspaceName,
+        workspaceState: workspace.workspaceState,
+        count: matches.length
+      };
+    }
+
+    return {
+      success: true,
+      badges: badges
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'API token expired or invalid' :
+        `Failed to list workspaces: ${error.message}`
+    };
+  }
+}
+
+// ============================================================================
+// GITHUB REF RESOLUTION
+// ============================================================================
+
+// Resolved pages, so re-injections on the same URL (SPA navigation) don't repeat the lookups
+const resolvedPages = new Map();
+const RESOLVED_PAGE_TTL = 60 * 1000;
+
+// Longest branch/tag name tried when splitting "tree/<ref>/<path>", in path segments
+const MAX_REF_SEGMENTS = 10;
+
+/**
+ * Make a GitHub REST API request, authenticated when a token is given; 404 resolves to null
+ */
+async function githubApiRequest(apiUrl, token, endpoint) {
+  const headers = { 'Accept': 'application/vnd.github+json' };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${apiUrl}${endpoint}`, { headers });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`GitHub API request failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+function encodeRefPath(ref) {
+  return ref.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Resolve the ref a repo page shows, with its commit SHA, the file path after it,
+ * the repo's default branch and, on pull requests, the PR's head and base
+ */
+async function resolveGitHubPage(apiUrl, token, owner, repo, pathname) {
+  const cacheKey = `${apiUrl}${pathname}`;
+  const cached = resolvedPages.get(cacheKey);
+  if (cached && Date.now() - cached.resolvedAt < RESOLVED_PAGE_TTL) {
+    return cached.result;
+  }
+
+  try {
+    const result = await lookUpGitHubPage(apiUrl, token, owner, repo, pathname);
+    resolvedPages.set(cacheKey, { result, resolvedAt: Date.now() });
+    return result;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.status === 401 ? 'GitHub API token expired or invalid' :
+        `Failed to resolve ref: ${error.message}`
+    };
+  }
+}
+
+async function lookUpGitHubPage(apiUrl, token, owner, repo, pathname) {
+  const repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const repository = await githubApiRequest(apiUrl, token, repoPath);
+  if (!repository) {
+    return { success: false, error: 'Repository not found' };
+  }
+
+  const base = { success: true, defaultBranch: repository.default_branch, path: '', pullRequest: null };
+  const [kind, ...segments] = pathname.split('/').filter(Boolean).slice(2).map(decodeURIComponent);
+
+  if (kind === 'pull' && /^\d+$/.test(segments[0])) {
+    const pull = await githubApiRequest(apiUrl, token, `${repoPath}/pulls/${segments[0]}`);
+    if (pull) {
+      return {
+        ...base,
+        ref: pull.head.ref,
+        refType: 'branch',
+        sha: pull.head.sha,
+        pullRequest: {
+          number: String(pull.number),
+          baseBranch: pull.base.ref,
+          // The head repo is null once a fork is deleted
+          headOwner: pull.head.repo?.owner.login || owner,
+          headRepo: pull.head.repo?.name || repo,
+          headBranch: pull.head.ref
+        }
+      };
+    }
+  }
+
+  if ((kind === 'tree' || kind === 'blob') && segments.length > 0) {
+    const resolved = await resolveRefPrefix(apiUrl, token, repoPath, segments);
+    if (resolved) {
+      return { ...base, ...resolved };
+    }
+  }
+
+  if (kind === 'compare' && segments.length > 0) {
+    // "base...head" or just "head"; a head from a fork reads "owner:branch" (or "owner:repo:branch")
+    const range = segments.join('/');
+    const head = range.includes('...') ? range.slice(range.indexOf('...') + 3) : range;
+    const parts = head.split(':');
+    const headRef = parts.pop();
+    const headRepoPath = parts.length === 0 ? repoPath :
+      `/repos/${encodeURIComponent(parts[0])}/${encodeURIComponent(parts[1] || repo)}`;
+
+    const commit = await githubApiRequest(apiUrl, token, `${headRepoPath}/commits/${encodeRefPath(headRef)}`);
+    if (commit) {
+      return { ...base, ref: headRef, refType: 'branch', sha: commit.sha };
+    }
+  }
+
+  if (kind === 'releases' && segments[0] === 'tag' && segments.length > 1) {
+    const tagName = segments.slice(1).join('/');
+    const commit = await githubApiRequest(apiUrl, token, `${repoPath}/commits/${encodeRefPath(tagName)}`);
+    if (commit) {
+      return { ...base, ref: tagName, refType: 'tag', sha: commit.sha };
+    }
+  }
+
+  if (kind === 'commit' && segments[0]) {
+    const commit = await githubApiRequest(apiUrl, token, `${repoPath}/commits/${encodeURIComponent(segments[0])}`);
+    if (commit) {
+      return { ...base, ref: commit.sha, refType: 'commit', sha: commit.sha };
+    }
+  }
+
+  // Repo root and other repo pages show the default branch
+  const branch = await githubApiRequest(apiUrl, token, `${repoPath}/branches/${encodeRefPath(repository.default_branch)}`);
+  return { ...base, ref: repository.default_branch, refType: 'branch', sha: branch?.commit.sha || null };
+}
+
+/**
+ * Split "<ref>/<path>" segments into the ref and the path
+ * Branch names may contain slashes. Git forbids a branch "a" next to "a/b", so the first
+ * prefix that is a branch is the branch; tags are tried next. A first segment that looks like
+ * a commit SHA is tried as one before either.
+ */
+async function resolveRefPrefix(apiUrl, token, repoPath, segments) {
+  const candidates = segments
+    .slice(0, MAX_REF_SEGMENTS)
+    .map((segment, index) => segments.slice(0, index + 1).join('/'));
+  const pathAfter = (candidate) => segments.slice(candidate.split('/').length).join('/');
+
+  // "Browse files" links carry a SHA; trying it first saves a branch and a tag lookup per segment.
+  // Branches and tags named like a SHA that matches no commit are still found below.
+  if (/^[0-9a-f]{7,40}$/i.test(segments[0])) {
+    const commit = await githubApiRequest(apiUrl, token, `${repoPath}/commits/${segments[0]}`);
+    if (commit) {
+      return { ref: commit.sha, refType: 'commit', sha: commit.sha, path: pathAfter(segments[0]) };
+    }
+  }
+
+  for (const candidate of candidates) {
+    const branch = await githubApiRequest(apiUrl, token, `${repoPath}/branches/${encodeRefPath(candidate)}`);
+    if (branch) {
+      return { ref: candidate, refType: 'branch', sha: branch.commit.sha, path: pathAfter(candidate) };
+    }
+  }
+
+  for (const candidate of candidates) {
+    const tag = await githubApiRequest(apiUrl, token, `${repoPath}/git/ref/tags/${encodeRefPath(candidate)}`);
+    if (tag) {
+      // Annotated tags point at a tag object; the commits endpoint peels it to the commit
+      const commit = await githubApiRequest(apiUrl, token, `${repoPath}/commits/${encodeRefPath(candidate)}`);
+      return { ref: candidate, refType: 'tag', sha: commit?.sha || tag.object.sha, path: pathAfter(candidate) };
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// REPO LAUNCH CONFIG
+// ============================================================================
+
+// Files a repo can declare its launch config in, in order; devcontainer.json keeps it under customizations.coder
+const REPO_CONFIG_FILES = ['.devcontainer/launcher.json', '.devcontainer/devcontainer.json', '.devcontainer.json'];
+
+// Parsed configs and devcontainer listings per repo and ref, so every button check doesn't refetch them
+const repoConfigs = new Map();
+const devcontainerListings = new Map();
+const REPO_CONFIG_TTL = 5 * 60 * 1000;
+
+/**
+ * Where a launch's repo config is read from: the launched repo and ref, except on pull requests,
+ * which use the base repo at the base branch (its default branch when that is unknown)
+ * A PR's head may be a fork, and its author must not pick the template and parameters of a
+ * workspace that is created in the reviewer's Coder account
+ */
+function getRepoConfigSource(owner, repo, branch, pullRequest) {
+  return pullRequest ?
+    { owner, repo, ref: pullRequest.baseBranch || '' } :
+    { owner, repo, ref: branch };
+}
+
+/**
+ * Launch profile fields a repo declares for itself at a ref (the default branch when empty), or null
+ * Throws when a config file can't be fetched; that is not cached, so the next check retries.
+ */
+async function getRepoLaunchConfig(githubHost, owner, repo, ref) {
+  const cacheKey = `${getStorageOrigin(githubHost.url)}/${owner}/${repo}@${ref}`;
+  const cached = repoConfigs.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < REPO_CONFIG_TTL) {
+    return cached.config;
+  }
+
+  const token = await getGitHubToken(githubHost.url);
+  let config = null;
+
+  for (const file of REPO_CONFIG_FILES) {
+    let text;
+    try {
+      text = await fetchRepoFile(githubHost, token, owner, repo, ref, file);
+    } catch (error) {
+      throw new Error(error.status === 401 ? 'GitHub API token expired or invalid' :
+        `Failed to read ${file}: ${error.message}`);
+    }
+    if (text === null) {
+      continue;
+    }
+
+    try {
+      const json = parseJsonc(text);
+      config = parseRepoLaunchConfig(file.endsWith('launcher.json') ? json : json.customizations?.coder);
+    } catch (e) {
+      // Not valid JSON - treated like a missing file, the next one may still declare the config
+    }
+
+    if (config) {
+      break;
+    }
+  }
+
+  repoConfigs.set(cacheKey, { config, loadedAt: Date.now() });
+  return config;
+}
+
+/**
+ * Contents of a file in a repo at a ref, or null when it doesn't exist
+ * Goes through the contents API, which serves public repos without a token; private repos
+ * without a token look missing. Other failures (rate limits, expired tokens) throw.
+ */
+async function fetchRepoFile(githubHost, token, owner, repo, ref, path) {
+  const repoPath = `${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const headers = { 'Accept': 'application/vnd.github.raw+json' };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+  const response = await fetch(
+    `${getGitHubApiUrl(githubHost)}/repos/${repoPath}/contents/${encodeRefPath(path)}${query}`,
+    { headers }
+  );
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`GitHub API request failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.text();
+}
+
+/**
+ * Devcontainer configs in a repo at a ref: { paths, complete }
+ * complete is false when the repo could not be listed through the API (private repo without a token,
+ * rate limited); whether it has a devcontainer is unknown then, so nothing is blocked on it
+ */
+async function getDevcontainerPaths(githubHost, owner, repo, ref) {
+  const cacheKey = `${getStorageOrigin(githubHost.url)}/${owner}/${repo}@${ref}`;
+  const cached = devcontainerListings.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < REPO_CONFIG_TTL) {
+    return cached.listing;
+  }
+
+  const token = await getGitHubToken(githubHost.url);
+  const listing = await listDevcontainers(githubHost, token, owner, repo, ref);
+
+  devcontainerListings.set(cacheKey, { listing, loadedAt: Date.now() });
+  return listing;
+}
+
+async function listDevcontainers(githubHost, token, owner, repo, ref) {
+  const apiUrl = getGitHubApiUrl(githubHost);
+  const repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const paths = [];
+
+  try {
+    // Public repos can be listed without a token
+    const root = await githubApiRequest(apiUrl, token, `${repoPath}/contents/?ref=${encodeURIComponent(ref)}`);
+
+    if (Array.isArray(root)) {
+      const folder = root.find(entry => entry.type === 'dir' && entry.name === '.devcontainer');
+      if (folder) {
+        const tree = await githubApiRequest(apiUrl, token, `${repoPath}/git/trees/${folder.sha}?recursive=1`);
+        for (const entry of tree?.tree || []) {
+          // .devcontainer/devcontainer.json and one level of .devcontainer/<name>/devcontainer.json
+          if (entry.type === 'blob' && /^([^/]+\/)?devcontainer\.json$/.test(entry.path)) {
+            paths.push(`.devcontainer/${entry.path}`);
+          }
+        }
+      }
+      if (root.some(entry => entry.type === 'file' && entry.name === '.devcontainer.json')) {
+        paths.push('.devcontainer.json');
+      }
+
+      return { paths: sortDevcontainerPaths(paths), complete: true };
+    }
+  } catch (e) {
+    // Not listable - the contents API serves the same files, so probing them would fail too
+  }
+
+  return { paths: [], complete: false };
+}
+
+/**
+ * The main .devcontainer/devcontainer.json first, then named configs alphabetically
+ */
+function sortDevcontainerPaths(paths) {
+  const rank = path => path === '.devcontainer/devcontainer.json' ? 0 : path === '.devcontainer.json' ? 1 : 2;
+  return paths.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as devcontainer.json allows
+ */
+function parseJsonc(text) {
+  const withoutComments = text.replace(
+    /("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    (match, string) => string || ''
+  );
+  return JSON.parse(withoutComments.replace(
+    /("(?:\\.|[^"\\])*")|,(\s*[}\]])/g,
+    (match, string, closing) => string || closing
+  ));
+}
+
+// ============================================================================
+// CONTENT SCRIPT REGISTRATION
+// ============================================================================
+
+const CONTENT_SCRIPT_ID = 'devcontainer-launcher';
+const CONTENT_SCRIPT_FILES = ['hosts.js', 'naming.js', 'profiles.js', 'apps.js', 'content.js'];
+
+// Serializes registration updates (permission and settings changes often arrive together)
+let contentScriptSync = Promise.resolve();
+
+/**
+ * Register the content script on exactly the GitHub hosts the user granted access to
+ * Re-run whenever the hosts or the granted permissions change, so revoked hosts drop out
+ */
+function syncContentScripts() {
+  contentScriptSync = contentScriptSync
+    .then(updateContentScriptRegistration)
+    .catch(() => {
+      // Keeps the chain going; the next host or permission change registers again
+    });
+  return contentScriptSync;
+}
+
+/**
+ * Origin patterns of the configured GitHub hosts the user granted access to
+ */
+async function getGrantedGitHubPatterns() {
+  const settings = await chrome.storage.sync.get(['gheUrl', 'githubHosts']);
+  const granted = [];
+
+  for (const pattern of getGitHubOriginPatterns(getGitHubHosts(settings))) {
+    if (await chrome.permissions.contains({ origins: [pattern] })) {
+      granted.push(pattern);
+    }
+  }
+
+  return granted;
+}
+
+async function updateContentScriptRegistration() {
+  const granted = await getGrantedGitHubPatterns();
+  const [registered] = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+
+  if (granted.length === 0) {
+    if (registered) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    }
+    return;
+  }
+
+  const script = {
+    id: CONTENT_SCRIPT_ID,
+    matches: granted,
+    js: CONTENT_SCRIPT_FILES,
+    css: ['styles.css'],
+    runAt: 'document_idle',
+    persistAcrossSessions: true
+  };
+
+  if (registered) {
+    await chrome.scripting.updateContentScripts([script]);
+  } else {
+    await chrome.scripting.registerContentScripts([script]);
+  }
+
+  // Tabs already open on a newly allowed host get the button without a reload
+  const added = granted.filter(pattern => !registered?.matches.includes(pattern));
+  if (added.length > 0) {
+    await injectIntoOpenTabs(added);
+  }
+}
+
+async function injectIntoOpenTabs(patterns) {
+  const tabs = await chrome.tabs.query({ url: patterns });
+
+  for (const tab of tabs) {
+    try {
+      await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: ['styles.css'] });
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: CONTENT_SCRIPT_FILES });
+    } catch (e) {
+      // Tab navigated away or is not scriptable
+    }
+  }
+}
+
+chrome.permissions.onAdded.addListener(() => {
+  syncContentScripts();
+  syncLinkMenu();
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+  syncContentScripts();
+  syncLinkMenu();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && (changes.githubHosts || changes.gheUrl)) {
+    syncContentScripts();
+    syncLinkMenu();
+  }
+});
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+// Pages a notification opens, keyed by notification ID: { url, buttons: [{ title, url }] }
+const notificationLinks = new Map();
+
+// Builds started from the extension, reported once they settle: workspace ID -> workspace name (when known)
+const startedBuilds = new Map();
+
+// Both maps and the build watchers outlive the service worker in session storage; the
+// notification listeners wait for them when a click is what woke the worker
+const backgroundStateRestored = restoreBackgroundState();
+
+/**
+ * Load the build watchers, tracked builds and notification links a previous worker saved,
+ * and resume polling the watched builds
+ */
+async function restoreBackgroundState() {
+  const stored = await chrome.storage.session.get(['buildWatchers', 'startedBuilds', 'notificationLinks']);
+
+  for (const [notificationId, links] of Object.entries(stored.notificationLinks || {})) {
+    if (!notificationLinks.has(notificationId)) {
+      notificationLinks.set(notificationId, links);
+    }
+  }
+
+  for (const [workspaceId, workspaceName] of Object.entries(stored.startedBuilds || {})) {
+    if (!startedBuilds.has(workspaceId)) {
+      startedBuilds.set(workspaceId, workspaceName);
+    }
+  }
+
+  for (const [workspaceId, watcher] of Object.entries(stored.buildWatchers || {})) {
+    if (buildWatchers.has(workspaceId)) {
+      continue;
+    }
+    buildWatchers.set(workspaceId, watcher);
+
+    const apiToken = await getCoderToken(watcher.coderUrl);
+    setTimeout(() => pollWorkspaceBuild(watcher.coderUrl, apiToken, workspaceId), BUILD_POLL_INTERVAL);
+  }
+}
+
+function saveNotificationLinks() {
+  chrome.storage.session.set({ notificationLinks: Object.fromEntries(notificationLinks) }).catch(() => {
+    // Only lost if the worker restarts before the next save
+  });
+}
+
+/**
+ * Show a notification; clicking it opens url when given, and each button opens its own url
+ */
+function notify(title, message, url, buttons = []) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: title,
+    message: message || '',
+    buttons: buttons.map(button => ({ title: button.title }))
+  }, (notificationId) => {
+    if (url || buttons.length > 0) {
+      notificationLinks.set(notificationId, { url, buttons });
+      saveNotificationLinks();
+    }
+  });
+}
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  await backgroundStateRestored;
+  const url = notificationLinks.get(notificationId)?.url;
+  if (url) {
+    openAppUrl(url);
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  await backgroundStateRestored;
+  const url = notificationLinks.get(notificationId)?.buttons[buttonIndex]?.url;
+  if (url) {
+    openAppUrl(url);
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onClosed.addListener(async (notificationId) => {
+  await backgroundStateRestored;
+  notificationLinks.delete(notificationId);
+  saveNotificationLinks();
+});
+
+/**
+ * Follow a start, create, restart or update the extension just queued, to notify once it is ready,
+ * has failed or timed out - whether or not a tab is still showing it
+ */
+function trackStartedBuild(settings, workspaceId, workspaceName) {
+  startedBuilds.set(workspaceId, workspaceName || null);
+  // Saved along with the watcher
+  watchWorkspaceBuild(settings.coderUrl, settings.coderApiToken, workspaceId, false, null, null);
+}
+
+/**
+ * Coder dashboard page with the logs of a workspace's latest build
+ */
+function getBuildLogsUrl(result) {
+  return result.buildNumber ? `${result.workspaceUrl}/builds/${result.buildNumber}` : result.workspaceUrl;
+}
+
+/**
+ * Report how a tracked build ended
+ */
+function notifyBuildOutcome(result, workspaceName, timedOut, openWith) {
+  const name = result.workspaceName || workspaceName || 'Workspace';
+
+  if (result.status !== 'found') {
+    notify(`Lost track of ${name}`, result.error);
+    return;
+  }
+
+  const app = findPreferredApp(result.apps, openWith);
+  const buttons = [
+    { title: 'Open workspace', url: app?.url || result.workspaceUrl },
+    { title: 'View build logs', url: getBuildLogsUrl(result) }
+  ];
+
+  if (result.workspaceState === 'running' && result.agentsReady) {
+    notify(`${name} is ready`, `Running on ${result.templateName}`, result.workspaceUrl, buttons);
+  } else if (timedOut) {
+    notify(
+      `${name} is taking long`,
+      `Still ${result.workspaceState === 'running' ? 'connecting' : result.workspaceState} after ${BUILD_WATCH_TIMEOUT / 60000} minutes`,
+      result.workspaceUrl,
+      buttons
+    );
+  } else {
+    notify(
+      `${name} failed to start`,
+      `The build ended ${result.latestBuild || result.workspaceState}`,
+      getBuildLogsUrl(result),
+      buttons
+    );
+  }
+}
+
+// ============================================================================
+// LINK CONTEXT MENU
+// ============================================================================
+
+const LINK_MENU_ID = 'launch-linked-workspace';
+
+// Serializes menu rebuilds, like content script registration
+let linkMenuSync = Promise.resolve();
+
+/**
+ * Offer "Launch workspace" on links to the GitHub hosts the user granted access to
+ */
+function syncLinkMenu() {
+  linkMenuSync = linkMenuSync
+    .then(updateLinkMenu)
+    .catch(() => {
+      // Keeps the chain going; the next host or permission change rebuilds the menu
+    });
+  return linkMenuSync;
+}
+
+async function updateLinkMenu() {
+  const granted = await getGrantedGitHubPatterns();
+
+  await chrome.contextMenus.removeAll();
+  if (granted.length === 0) {
+    return;
+  }
+
+  await new Promise((resolve) => {
+    chrome.contextMenus.create({
+      id: LINK_MENU_ID,
+      title: 'Launch workspace for this link',
+      contexts: ['link'],
+      targetUrlPatterns: granted
+    }, resolve);
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId === LINK_MENU_ID && info.linkUrl) {
+    launchFromLink(info.linkUrl).catch((error) => {
+      notify('Launch failed', error.message);
+    });
+  }
+});
+
+/**
+ * What a GitHub link points at: { branch, pullRequest, ref } for its repo, or { error }
+ * Resolved through the REST API (public repos need no token), otherwise read from the URL
+ */
+async function resolveLinkTarget(settings, githubHost, owner, repo, pathname) {
+  const token = await getGitHubToken(githubHost.url);
+  const resolved = await resolveGitHubPage(getGitHubApiUrl(githubHost), token, owner, repo, pathname);
+
+  if (resolved.success) {
+    return {
+      branch: resolved.ref,
+      pullRequest: resolved.pullRequest,
+      ref: { type: resolved.refType, sha: resolved.sha }
+    };
+  }
+
+  const [kind, first] = pathname.split('/').filter(Boolean).slice(2);
+
+  if (kind === 'pull') {
+    return { error: 'Pull request links need a GitHub API token for this host' };
+  }
+  if (kind === 'commit' && first) {
+    return { branch: first, pullRequest: null, ref: { type: 'commit', sha: first } };
+  }
+  if ((kind === 'tree' || kind === 'blob') && first) {
+    // Branches with slashes can't be told from the path without the API
+    return { branch: decodeURIComponent(first), pullRequest: null, ref: { type: 'branch', sha: null } };
+  }
+
+  const profile = getLaunchProfile(settings, owner, repo);
+  if (profile?.defaultBranch) {
+    return { branch: profile.defaultBranch, pullRequest: null, ref: { type: 'branch', sha: null } };
+  }
+
+  // The repo link itself: its default branch, which only the API knows
+  try {
+    const repository = await githubApiRequest(
+      getGitHubApiUrl(githubHost),
+      token,
+      `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`
+    );
+    if (repository) {
+      return { branch: repository.default_branch, pullRequest: null, ref: { type: 'branch', sha: null } };
+    }
+  } catch (e) {
+    // Reported below like a missing repo
+  }
+
+  return { error: `Couldn't look up the default branch of ${owner}/${repo}; open the branch and launch from there` };
+}
+
+/**
+ * Run the button's check / start / create flow for a linked repo, branch, commit or pull request
+ * and report the outcome in a notification
+ */
+async function launchFromLink(linkUrl) {
+  const url = new URL(linkUrl);
+  const [owner, repo] = url.pathname.split('/').filter(Boolean);
+  const { settings, githubHost } = await loadSettings(url.origin);
+
+  if (!githubHost || !owner || !repo || NON_REPO_PAGES.includes(owner)) {
+    notify('Not a repository link', linkUrl);
+    return;
+  }
+
+  if (!settings.coderUrl || !settings.coderApiToken) {
+    notify(
+      'Coder is not connected',
+      settings.coderUrl && settings.coderOAuthClientId ?
+        'Sign in to Coder from the button on a GitHub page or from the options page' :
+        'Set up the Coder connection in the extension options'
+    );
+    return;
+  }
+
+  const target = await resolveLinkTarget(settings, githubHost, owner, repo, url.pathname);
+  if (target.error) {
+    notify(`Can't launch ${owner}/${repo}`, target.error);
+    return;
+  }
+
+  const { branch, pullRequest, ref } = target;
+  const sourceOwner = pullRequest?.headOwner || owner;
+  const sourceRepo = pullRequest?.headRepo || repo;
+  const label = pullRequest ? `${owner}/${repo}#${pullRequest.number}` : `${owner}/${repo} at ${branch}`;
+
+  // Like the button, an unreadable config only stops creating a workspace
+  const configSource = getRepoConfigSource(owner, repo, branch, pullRequest);
+  let repoConfigError = null;
+  try {
+    settings.repoProfile = await getRepoLaunchConfig(githubHost, configSource.owner, configSource.repo, configSource.ref);
+  } catch (error) {
+    repoConfigError = error.message;
+  }
+  const openWith = getLaunchProfile(settings, owner, repo)?.openWith || settings.openWith;
+
+  const result = await findWorkspace(settings, owner, repo, branch, pullRequest, ref);
+
+  if (result.status === 'error') {
+    notify(`Couldn't check the workspace for ${label}`, result.error);
+    return;
+  }
+
+  if (result.status === 'found') {
+    const state = result.workspaceState;
+
+    if (state === 'running' && result.agentsReady) {
+      const app = findPreferredApp(result.apps, openWith);
+      openAppUrl(app?.url || result.workspaceUrl);
+      notify(`Opened ${result.workspaceName}`, label, result.workspaceUrl);
+      return;
+    }
+
+    if (state === 'stopped' || state === 'failed' || state === 'canceled') {
+      const started = await startWorkspace(settings.coderUrl, settings.coderApiToken, result.workspaceId);
+      if (!started.success) {
+        notify(`Couldn't start ${result.workspaceName}`, started.error, result.workspaceUrl);
+        return;
+      }
+      trackStartedBuild(settings, result.workspaceId, result.workspaceName);
+    }
+
+    // Starting (or already building) - opened once its agent connects
+    watchWorkspaceBuild(settings.coderUrl, settings.coderApiToken, result.workspaceId, true, null, openWith);
+    notify(`Starting ${result.workspaceName}`, `${label} - opens once it is ready`, result.workspaceUrl);
+    return;
+  }
+
+  // Missing - create it like the button's "Create Workspace"
+  if (repoConfigError) {
+    notify(`Can't create a workspace for ${label}`, repoConfigError);
+    return;
+  }
+
+  const devcontainers = await getDevcontainerPaths(githubHost, sourceOwner, sourceRepo, branch);
+  if (devcontainers.complete && devcontainers.paths.length === 0) {
+    notify(`${label} has no devcontainer`, 'Launch from the page to use the default template anyway');
+    return;
+  }
+
+  const { devcontainerPaths = {} } = await chrome.storage.local.get('devcontainerPaths');
+  const picked = devcontainerPaths[`${owner}/${repo}`];
+  const values = getLaunchPlaceholderValues(settings, owner, repo, branch, pullRequest, ref, {
+    sshUrl: buildSshCloneUrl(githubHost, sourceOwner, sourceRepo),
+    devcontainerPath: devcontainers.paths.includes(picked) ? picked : devcontainers.paths[0],
+    workspaceName: result.workspaceName
+  });
+
+  const templateName = await resolveTemplate(settings, owner, repo);
+  if (!templateName) {
+    const launcherUrl = getLaunchProfile(settings, owner, repo)?.launcherUrl || settings.launcherUrl;
+    if (!launcherUrl) {
+      notify(`Can't launch ${label}`, 'No Coder template or launcher URL configured');
+      return;
+    }
+
+    chrome.tabs.create({ url: expandLauncherUrl(launcherUrl, values) });
+    notify('Opened the launcher', label);
+    return;
+  }
+
+  const quota = await checkLaunchQuota(settings, owner, repo, templateName, values);
+  if (quota.success && quota.overQuota) {
+    const idle = quota.idleWorkspaces.map(workspace => workspace.workspaceName);
+    notify(
+      `${label} would go over your quota`,
+      `It costs ${quota.cost} credits a day; ${Math.max(0, quota.quota.budget - quota.quota.consumed)} are left.` +
+        (idle.length > 0 ? ` Least recently used: ${idle.join(', ')}` : ''),
+      `${settings.coderUrl}/workspaces`
+    );
+    return;
+  }
+
+  const created = await createLaunchWorkspace(settings, owner, repo, branch, pullRequest, ref, values, templateName);
+  if (created.status !== 'found') {
+    notify(`Couldn't create a workspace for ${label}`, created.error);
+    return;
+  }
+
+  trackStartedBuild(settings, created.workspaceId, created.workspaceName);
+  watchWorkspaceBuild(settings.coderUrl, settings.coderApiToken, created.workspaceId, true, null, openWith);
+  notify(`Creating ${created.workspaceName}`, `${label} from ${templateName} - opens once it is ready`, created.workspaceUrl);
+}
+
+// Move settings written by older versions to their current shape
+chrome.runtime.onInstalled.addListener(async (details) => {
+  const { templateDefaults, launchProfiles, gheUrl, githubHosts, coderUrl, coderApiToken } = await chrome.storage.sync.get([
+    'templateDefaults', 'launchProfiles', 'gheUrl', 'githubHosts', 'coderUrl', 'coderApiToken'
+  ]);
+
+  // The single GHE URL became the first entry of the GitHub hosts list
+  if (gheUrl !== undefined) {
+    if (gheUrl && !(githubHosts && githubHosts.length > 0)) {
+      await chrome.storage.sync.set({ githubHosts: [{ url: gheUrl }] });
+    }
+    await chrome.storage.sync.remove('gheUrl');
+  }
+
+  // "pattern=template" lines became launch profiles
+  if (templateDefaults !== undefined) {
+    const migrated = templateDefaults
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#') && line.includes('='))
+      .map(line => {
+        const index = line.indexOf('=');
+        return {
+          pattern: line.slice(0, index).trim(),
+          launcherUrl: '',
+          coderTemplate: line.slice(index + 1).trim(),
+          defaultBranch: '',
+          parameters: ''
+        };
+      });
+
+    await chrome.storage.sync.set({ launchProfiles: [...(launchProfiles || []), ...migrated] });
+    await chrome.storage.sync.remove('templateDefaults');
+  }
+
+  // Tokens were synced to every browser profile of the account; keep them on this device only
+  if (coderApiToken !== undefined) {
+    if (coderApiToken && coderUrl && !(await getCoderSession(coderUrl))) {
+      await setCoderSession(coderUrl, { token: coderApiToken });
+    }
+    await chrome.storage.sync.remove('coderApiToken');
+  }
+
+  const { githubHosts: currentHosts } = await chrome.storage.sync.get('githubHosts');
+  if (currentHosts?.some(host => 'coderApiToken' in host)) {
+    for (const host of currentHosts) {
+      if (host.coderApiToken && host.coderUrl && !(await getCoderSession(host.coderUrl))) {
+        await setCoderSession(host.coderUrl, { token: host.coderApiToken });
+      }
+      delete host.coderApiToken;
+    }
+    await chrome.storage.sync.set({ githubHosts: currentHosts });
+  }
+
+  await syncContentScripts();
+  await syncLinkMenu();
+
+  // Older versions had access to every site; ask again for the hosts that are configured
+  if (details.reason === 'update') {
+    const settings = await chrome.storage.sync.get(['gheUrl', 'githubHosts', 'coderUrl']);
+    const hosts = getGitHubHosts(settings);
+    const origins = [...getGitHubOriginPatterns(hosts), ...getCoderOriginPatterns(settings, hosts)];
+    if (origins.length > 0 && !(await chrome.permissions.contains({ origins }))) {
+      chrome.runtime.openOptionsPage();
+    }
+  }
+});
+
+// Keyboard commands from the manifest run in the tab's content script, through the button's own handlers
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!target?.id) {
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(target.id, { action: 'RUN_COMMAND', command });
+  } catch (e) {
+    // No launcher on this tab (not a configured GitHub host)
+  }
+});
+
+/**
+ * Settings for a request about a page on the given origin, with the Coder token of this device
+ * A GitHub host with its own Coder deployment talks to that deployment
+ */
+async function loadSettings(origin, coderUrl) {
+  const settings = await chrome.storage.sync.get([
+    'coderUrl', 'coderOAuthClientId', 'launcherUrl', 'gheUrl', 'githubHosts',
+    'coderTemplate', 'coderParameters', 'launchProfiles',
+    'workspaceNamePattern', 'prWorkspaceNamePattern', 'pinnedWorkspaceNamePattern', 'openWith'
+  ]);
+
+  const githubHost = origin ? findGitHubHost(getGitHubHosts(settings), origin) : null;
+  settings.coderDeployments = getCoderDeployments(settings, getGitHubHosts(settings));
+
+  // Extension pages (the popup) name the deployment of the workspace they act on instead
+  const deployment = githubHost?.coderUrl ? githubHost :
+    !githubHost && coderUrl ? settings.coderDeployments.find(candidate => candidate.coderUrl === coderUrl) : null;
+  if (deployment) {
+    settings.coderUrl = deployment.coderUrl;
+    settings.coderOAuthClientId = deployment.coderOAuthClientId;
+  }
+
+  // Tokens live in local storage, per Coder deployment
+  settings.coderApiToken = settings.coderUrl ? await getCoderToken(settings.coderUrl) : null;
+
+  if (settings.coderUrl && settings.coderApiToken) {
+    await loadAppHost(settings.coderUrl, settings.coderApiToken);
+  }
+
+  return { settings, githubHost };
+}
+
+// Actions that read the launched repo's own config
+const REPO_CONFIG_ACTIONS = ['GET_REPO_CONFIG', 'CHECK_WORKSPACE', 'CHECK_QUOTA', 'CREATE_WORKSPACE'];
+
+// Message handler for content script communication
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Handle async responses
+  (async () => {
+    try {
+      const { settings, githubHost } = await loadSettings(sender.origin, request.coderUrl);
+
+      // Repos can declare their own template, parameters and app; PRs take them from the base repo.
+      // An unreadable config only blocks creating a workspace, which would quietly use the wrong
+      // template; lookups go ahead without it.
+      let repoConfigError = null;
+      if (githubHost && request.owner && REPO_CONFIG_ACTIONS.includes(request.action)) {
+        const configSource = getRepoConfigSource(request.owner, request.repo, request.branch, request.pullRequest);
+        try {
+          settings.repoProfile = await getRepoLaunchConfig(githubHost, configSource.owner, configSource.repo, configSource.ref);
+        } catch (error) {
+          if (request.action === 'CREATE_WORKSPACE' || request.action === 'CHECK_QUOTA') {
+            sendResponse({ success: false, status: 'error', error: error.message });
+            return;
+          }
+          repoConfigError = error.message;
+        }
+      }
+
+      switch (request.action) {
+        case 'VERIFY_CONNECTION': {
+          const coderUrl = request.coderUrl || settings.coderUrl;
+          const result = await verifyConnection(
+            coderUrl,
+            request.apiToken || await getCoderToken(coderUrl)
+          );
+          sendResponse(result);
+          break;
+        }
+
+        case 'SIGN_IN': {
+          const coderUrl = request.coderUrl || settings.coderUrl;
+          const clientId = request.clientId || settings.coderOAuthClientId;
+          if (!coderUrl || !clientId) {
+            sendResponse({
+              success: false,
+              error: 'Coder URL and OAuth2 client ID are required to sign in'
+            });
+            break;
+          }
+
+          try {
+            const token = await signInToCoder(coderUrl, clientId);
+            clearCoderLookups(coderUrl);
+            sendResponse(await verifyConnection(coderUrl, token));
+          } catch (error) {
+            sendResponse({
+              success: false,
+              error: `Sign-in failed: ${error.message}`
+            });
+          }
+          break;
+        }
+
+        case 'OPEN_TAB': {
+          // A popup the page blocked because no click preceded it (keyboard commands)
+          if (!/^https?:/i.test(request.url || '')) {
+            sendResponse({ success: false, error: 'Only web pages can be opened' });
+            break;
+          }
+
+          await chrome.tabs.create({
+            url: request.url,
+            openerTabId: sender.tab?.id,
+            index: sender.tab ? sender.tab.index + 1 : undefined
+          });
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'SIGN_OUT': {
+          await setCoderSession(request.coderUrl || settings.coderUrl, null);
+          clearCoderLookups(request.coderUrl || settings.coderUrl);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'RESOLVE_REF': {
+          // Optional: without a token for this host the content script scrapes the page instead
+          const githubToken = githubHost ? await getGitHubToken(githubHost.url) : null;
+          if (!githubToken) {
+            sendResponse({ success: false, unconfigured: true });
+            break;
+          }
+
+          const result = await resolveGitHubPage(
+            getGitHubApiUrl(githubHost),
+            githubToken,
+            request.owner,
+            request.repo,
+            request.pathname
+          );
+          sendResponse(result);
+          break;
+        }
+
+        case 'GET_REPO_CONFIG': {
+          const devcontainers = githubHost ? await getDevcontainerPaths(
+            githubHost,
+            request.pullRequest?.headOwner || request.owner,
+            request.pullRequest?.headRepo || request.repo,
+            request.branch
+          ) : null;
+
+          sendResponse({ success: true, profile: settings.repoProfile || null, devcontainers, configError: repoConfigError });
+          break;
+        }
+
+        case 'CHECK_WORKSPACE': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              status: 'unconfigured',
+              error: 'Coder API not configured',
+              signInRequired: !!(settings.coderUrl && settings.coderOAuthClientId)
+            });
+            break;
+          }
+
+          const result = await findWorkspace(
+            settings,
+            request.owner,
+            request.repo,
+            request.branch,
+            request.pullRequest,
+            request.ref
+          );
+
+          // A rejected token drops the session; ask to sign in again instead of showing an error
+          if (result.status === 'error' && settings.coderOAuthClientId && !(await getCoderSession(settings.coderUrl))) {
+            result.signInRequired = true;
+          }
+
+          // Include launcher URL for fallback/create action
+          const profile = getLaunchProfile(settings, request.owner, request.repo);
+          const launcherUrl = profile?.launcherUrl || settings.launcherUrl;
+          if (result.status === 'missing' && launcherUrl) {
+            result.launcherUrl = launcherUrl;
+          }
+
+          // Workspaces can be created in place once a template is configured
+          if (result.status === 'missing') {
+            result.templateName = await resolveTemplate(settings, request.owner, request.repo);
+            result.canCreate = !!result.templateName;
+          }
+
+          sendResponse(result);
+          break;
+        }
+
+        case 'CHECK_QUOTA': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const templateName = request.templateName ||
+            await resolveTemplate(settings, request.owner, request.repo);
+
+          const result = await checkLaunchQuota(
+            settings,
+            request.owner,
+            request.repo,
+            templateName,
+            request.values
+          );
+          sendResponse(result);
+          break;
+        }
+
+        case 'CREATE_WORKSPACE': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              status: 'unconfigured',
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const templateName = request.templateName ||
+            await resolveTemplate(settings, request.owner, request.repo);
+
+          if (!templateName) {
+            sendResponse({
+              status: 'error',
+              error: 'No Coder template configured'
+            });
+            break;
+          }
+
+          const result = await createLaunchWorkspace(
+            settings,
+            request.owner,
+            request.repo,
+            request.branch,
+            request.pullRequest,
+            request.ref,
+            request.values,
+            templateName
+          );
+          if (result.status === 'found') {
+            trackStartedBuild(settings, result.workspaceId, result.workspaceName);
+          }
+
+          sendResponse(result);
+          break;
+        }
+
+        case 'LIST_WORKSPACES': {
+          if (settings.coderDeployments.length === 0) {
+            sendResponse({
+              success: false,
+              unconfigured: true,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const result = await listAllWorkspaces(settings.coderDeployments, getParameterRoles(settings));
+          sendResponse(result);
+          break;
+        }
+
+        case 'GET_WORKSPACE_BADGES': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              unconfigured: true,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const result = await getWorkspaceBadges(settings, request.targets || []);
+          sendResponse(result);
+          break;
+        }
+
+        case 'GET_TEMPLATES': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const result = await getTemplates(
+            settings.coderUrl,
+            settings.coderApiToken
+          );
+          sendResponse(result);
+          break;
+        }
+
+        case 'WATCH_WORKSPACE': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          watchWorkspaceBuild(
+            settings.coderUrl,
+            settings.coderApiToken,
+            request.workspaceId,
+            !!request.openWhenReady,
+            request.openUrl || null,
+            request.openWith || settings.openWith
+          );
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'GET_SETTINGS': {
+          sendResponse({
+            coderUrl: settings.coderUrl,
             hasApiToken: !!settings.coderApiToken,
             launcherUrl: settings.launcherUrl,
-            gheUrl: settings.gheUrl
+            githubHosts: getGitHubHosts(settings).map(host => ({
+              url: host.url,
+              sshHost: host.sshHost,
+              sshPort: host.sshPort,
+              coderUrl: host.coderUrl
+            }))
           });
           break;
         }
@@ -314,6 +2852,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             settings.coderApiToken,
             request.workspaceId
           );
+          if (result.success) {
+            trackStartedBuild(settings, request.workspaceId);
+          }
           sendResponse(result);
           break;
         }
@@ -336,6 +2877,120 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           break;
         }
 
+        case 'RESTART_WORKSPACE': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const result = await rebootWorkspace(
+            settings.coderUrl,
+            settings.coderApiToken,
+            request.workspaceId
+          );
+          if (result.success) {
+            trackStartedBuild(settings, request.workspaceId);
+          }
+          sendResponse(result);
+          break;
+        }
+
+        case 'UPDATE_WORKSPACE': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const result = await updateWorkspace(
+            settings.coderUrl,
+            settings.coderApiToken,
+            request.workspaceId
+          );
+          if (result.success) {
+            trackStartedBuild(settings, request.workspaceId);
+          }
+          sendResponse(result);
+          break;
+        }
+
+        case 'DELETE_WORKSPACE': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const result = await deleteWorkspace(
+            settings.coderUrl,
+            settings.coderApiToken,
+            request.workspaceId
+          );
+          sendResponse(result);
+          break;
+        }
+
+        case 'GET_BUILD_LOGS': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const result = await getBuildLogs(
+            settings.coderUrl,
+            settings.coderApiToken,
+            request.workspaceId
+          );
+          sendResponse(result);
+          break;
+        }
+
+        case 'RETRY_BUILD': {
+          if (!settings.coderUrl || !settings.coderApiToken) {
+            sendResponse({
+              success: false,
+              error: 'Coder API not configured'
+            });
+            break;
+          }
+
+          const result = await retryBuild(
+            settings.coderUrl,
+            settings.coderApiToken,
+            request.workspaceId,
+            !!request.debug
+          );
+          if (result.success) {
+            trackStartedBuild(settings, request.workspaceId);
+          }
+          sendResponse(result);
+          break;
+        }
+
+        case 'SELECT_WORKSPACE': {
+          // Chosen from several workspaces matching the same repo/branch
+          await rememberWorkspaceName(
+            request.owner,
+            request.repo,
+            request.branch,
+            request.pullRequest,
+            request.ref,
+            request.workspaceName
+          );
+          sendResponse({ success: true });
+          break;
+        }
+
         default:
           sendResponse({ error: 'Unknown action' });
       }
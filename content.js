@@ -4,22 +4,56 @@
 (async function () {
   'use strict';
 
-  // Load settings from storage
-  const settings = await chrome.storage.sync.get(['gheUrl', 'launcherUrl', 'coderUrl', 'coderApiToken']);
-
-  // Exit if not configured
-  if (!settings.gheUrl) {
+  // Registered scripts and the injection into already-open tabs can both reach the same page
+  if (window.devcontainerLauncherLoaded) {
     return;
   }
+  window.devcontainerLauncherLoaded = true;
 
-  // Exit if current page doesn't match configured GHE URL
-  const gheOrigin = new URL(settings.gheUrl).origin;
-  if (location.origin !== gheOrigin) {
+  // Load settings from storage
+  const settings = await chrome.storage.sync.get([
+    'gheUrl', 'githubHosts', 'launcherUrl', 'coderUrl', 'coderOAuthClientId', 'workspaceNamePattern',
+    'prWorkspaceNamePattern', 'pinnedWorkspaceNamePattern', 'launchProfiles', 'workspaceFolder', 'openWith',
+    'pageShortcut'
+  ]);
+
+  // Exit if current page isn't one of the configured GitHub hosts
+  const githubHost = findGitHubHost(getGitHubHosts(settings), location.origin);
+  if (!githubHost) {
     return;
   }
 
   const BUTTON_ID = 'devcontainer-launcher-btn';
-  const hasCoderApi = !!(settings.coderUrl && settings.coderApiToken);
+
+  // Where the repo is checked out inside a workspace, unless configured
+  const DEFAULT_WORKSPACE_FOLDER = '/home/coder/{repo}';
+
+  // A host with its own Coder deployment uses that one instead of the global one.
+  // Without a stored session the button can still offer to sign in when OAuth2 is set up.
+  // Sessions stay in the background worker; it only tells whether there is one.
+  const coderUrl = githubHost.coderUrl || settings.coderUrl;
+  const coderOAuthClientId = githubHost.coderUrl ? githubHost.coderOAuthClientId : settings.coderOAuthClientId;
+  const workerSettings = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'GET_SETTINGS' }, (response) => resolve(response || {}));
+  });
+  const hasCoderApi = !!coderUrl && (!!coderOAuthClientId || !!workerSettings.hasApiToken);
+
+  // Launch profile matching the current repo, resolved on each injection and layered over
+  // the repo's own launch config once that is loaded
+  let activeProfile = null;
+
+  // Ref, file path, default branch and PR resolved through the GitHub API, for the pathname they were resolved on
+  let resolvedPage = null;
+
+  // Commit chosen with "Pin to this commit", for the pathname it was chosen on
+  let launchPin = null;
+
+  // Devcontainer configs of the launched ref ({ paths, complete }) and the one picked for this repo
+  let repoDevcontainers = null;
+  let pickedDevcontainer = null;
+
+  // Why the repo's launch config could not be read, shown in the caret menu
+  let repoConfigError = null;
 
   // ============================================================================
   // BUTTON CONTRIBUTION STRATEGIES (Gitpod-style)
@@ -201,6 +235,46 @@
       additionalClassNames: ['medium'],
     },
 
+    // ---------------------------------------------------------------------
+    // gh-compare: Compare view (base...head range editor)
+    // ---------------------------------------------------------------------
+    {
+      id: 'gh-compare',
+      match: /\/compare\//,
+      selector: '.range-editor',
+      fallbackSelectors: [
+        '#repo-content-pjax-container .js-range-editor',
+        '#repo-content-turbo-frame .js-range-editor',
+      ],
+      containerProps: {
+        display: 'inline-flex',
+        marginLeft: '8px',
+        verticalAlign: 'middle',
+      },
+      position: 'append',
+      variant: 'compact',
+    },
+
+    // ---------------------------------------------------------------------
+    // gh-release: Single release page
+    // ---------------------------------------------------------------------
+    {
+      id: 'gh-release',
+      match: /\/releases\/tag\//,
+      selector: '.release-header',
+      fallbackSelectors: [
+        `xpath://h1[contains(@class, 'd-inline')]/..`,
+        '#repo-content-pjax-container .Box .Box-body',
+        '#repo-content-turbo-frame .Box .Box-body',
+      ],
+      containerProps: {
+        display: 'inline-flex',
+        marginLeft: '8px',
+      },
+      position: 'append',
+      variant: 'compact',
+    },
+
     // ---------------------------------------------------------------------
     // gh-empty-repo: Empty repository setup page
     // ---------------------------------------------------------------------
@@ -371,19 +445,31 @@
     const repo = pathParts[1];
 
     // Skip non-repo pages
-    const nonRepoPages = ['settings', 'organizations', 'users', 'search', 'notifications', 'login', 'logout', 'explore', 'marketplace', 'sponsors'];
-    if (nonRepoPages.includes(owner)) {
+    if (NON_REPO_PAGES.includes(owner)) {
       return null;
     }
 
     return { owner, repo };
   }
 
+  /**
+   * Branch (or other ref) being launched: the pinned commit's SHA once "Pin to this commit" was chosen,
+   * otherwise the ref shown on the page
+   */
+  function getCurrentBranch() {
+    return getLaunchPin()?.sha || getPageBranch();
+  }
+
   /**
    * Extract current branch/ref from the page
    * For commit pages, returns the full commit SHA
    */
-  function getCurrentBranch() {
+  function getPageBranch() {
+    const resolved = getResolvedPage();
+    if (resolved) {
+      return resolved.ref;
+    }
+
     // Special handling for commit pages - use the commit SHA as the "branch"
     if (/\/commit\//.test(location.pathname)) {
       const commitMatch = location.pathname.match(/\/commit\/([a-f0-9]+)/i);
@@ -392,10 +478,10 @@
       }
     }
 
-    // Special handling for PR pages - extract the "from" branch
-    if (/\/pull\//.test(location.pathname)) {
-      const prBranch = getPRHeadBranch();
-      if (prBranch) return prBranch;
+    // Special handling for PR pages - use the "from" branch
+    const pullRequest = getPullRequestInfo();
+    if (pullRequest?.headBranch) {
+      return pullRequest.headBranch;
     }
 
     // Try various selectors used in different GHE versions
@@ -428,62 +514,277 @@
       return match[2];
     }
 
-    return 'main';
+    return activeProfile?.defaultBranch || 'main';
   }
 
-  function getPRHeadBranch() {
-    const headRefSelectors = [
-      '.gh-header-meta .head-ref a',
-      '.gh-header-meta .head-ref',
-      '.gh-header-meta .commit-ref.head-ref a',
-      '.gh-header-meta .commit-ref.head-ref',
-    ];
+  /**
+   * What the launched branch value is and the commit it points at: { type: 'branch' | 'tag' | 'commit', sha }
+   * Commit pages and pinned launches are of type 'commit'; sha is null when unknown (no API token)
+   */
+  function getLaunchRef() {
+    const pin = getLaunchPin();
+    if (pin) {
+      return { type: 'commit', sha: pin.sha };
+    }
 
-    for (const selector of headRefSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const text = el.textContent?.trim();
-        if (text) {
-          return text.includes(':') ? text.split(':').pop() : text;
+    const resolved = getResolvedPage();
+    if (resolved) {
+      return { type: resolved.refType, sha: resolved.sha };
+    }
+
+    const commitMatch = location.pathname.match(/\/commit\/([a-f0-9]+)/i);
+    if (commitMatch) {
+      return { type: 'commit', sha: commitMatch[1] };
+    }
+
+    return { type: 'branch', sha: null };
+  }
+
+  function getLaunchPin() {
+    return launchPin?.pathname === location.pathname ? launchPin : null;
+  }
+
+  /**
+   * Commit "Pin to this commit" offers: the head of a comparison, or the commit of a tag or release
+   * Null on other pages and when the commit cannot be told
+   */
+  function getPinnableCommit(repoInfo) {
+    const isCompare = /^\/[^/]+\/[^/]+\/compare\//.test(location.pathname);
+    const isRelease = /^\/[^/]+\/[^/]+\/releases\/tag\//.test(location.pathname);
+    const resolved = getResolvedPage();
+
+    if (!isCompare && !isRelease && resolved?.refType !== 'tag') {
+      return null;
+    }
+    if (resolved?.sha) {
+      return resolved.sha;
+    }
+
+    // Without the API: a release links its commit, a comparison lists its commits oldest first
+    const prefix = `/${repoInfo.owner}/${repoInfo.repo}/commit/`;
+    const shas = [...document.querySelectorAll('a[href*="/commit/"]')]
+      .map(link => new URL(link.href, location.href).pathname)
+      .filter(path => path.startsWith(prefix))
+      .map(path => path.slice(prefix.length))
+      .filter(sha => /^[0-9a-f]{40}$/i.test(sha));
+
+    if (shas.length === 0) {
+      return null;
+    }
+    return isCompare ? shas[shas.length - 1] : shas[0];
+  }
+
+  /**
+   * API resolution of the current page, or null when it is missing or was made for another URL
+   */
+  function getResolvedPage() {
+    return resolvedPage?.pathname === location.pathname ? resolvedPage : null;
+  }
+
+  /**
+   * Resolve the current page's ref through the background worker's GitHub API lookup
+   * Without an API token for this host (or when the lookup fails) the page is scraped instead
+   */
+  function resolvePageRef(owner, repo) {
+    const pathname = location.pathname;
+    if (resolvedPage?.pathname === pathname) {
+      return Promise.resolve(resolvedPage);
+    }
+
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'RESOLVE_REF', owner, repo, pathname },
+        (response) => {
+          // Without a resolution the ref is read from the page
+          if (response?.success) {
+            resolvedPage = { ...response, pathname };
+          }
+          resolve(getResolvedPage());
         }
-      }
+      );
+    });
+  }
+
+  /**
+   * Pull request being viewed: its number, base branch and the repo/branch its code comes from
+   * The head repo differs from the page's repo for PRs opened from forks
+   */
+  function getPullRequestInfo() {
+    const numberMatch = location.pathname.match(/^\/[^/]+\/[^/]+\/pull\/(\d+)/);
+    if (!numberMatch) {
+      return null;
+    }
+
+    const resolved = getResolvedPage();
+    if (resolved?.pullRequest) {
+      return resolved.pullRequest;
     }
 
+    const { owner, repo } = getRepoInfo();
     const commitRefs = document.querySelectorAll('.gh-header-meta .commit-ref');
-    if (commitRefs.length >= 2) {
-      const headRef = commitRefs[1];
-      const text = headRef.textContent?.trim();
-      if (text) {
-        return text.includes(':') ? text.split(':').pop() : text;
-      }
+    const base = readCommitRef(document.querySelector('.gh-header-meta .base-ref') || commitRefs[0]);
+    const head = readCommitRef(document.querySelector('.gh-header-meta .head-ref') || commitRefs[1]);
+
+    return {
+      number: numberMatch[1],
+      baseBranch: base?.branch || null,
+      headOwner: head?.owner || owner,
+      // Forks keep the upstream name unless renamed; the title carries the real one
+      headRepo: head?.repo || repo,
+      headBranch: head?.branch || null
+    };
+  }
+
+  /**
+   * Parse a PR header ref. Its title reads "owner/repo:branch"; the visible text is
+   * "branch" for same-repo PRs and "owner:branch" for forks.
+   */
+  function readCommitRef(el) {
+    if (!el) {
+      return null;
     }
 
-    return null;
+    const titleMatch = el.getAttribute('title')?.match(/^([^/\s]+)\/([^:\s]+):(.+)$/);
+    if (titleMatch) {
+      return { owner: titleMatch[1], repo: titleMatch[2], branch: titleMatch[3] };
+    }
+
+    const text = el.textContent?.trim();
+    if (!text) {
+      return null;
+    }
+
+    const index = text.indexOf(':');
+    return index === -1 ?
+      { owner: null, repo: null, branch: text } :
+      { owner: text.slice(0, index), repo: null, branch: text.slice(index + 1) };
+  }
+
+  /**
+   * File (and first line) being viewed on a blob page, relative to the repo root
+   * Line anchors look like "#L10" or "#L10-L20"
+   */
+  function getFileLocation() {
+    const match = location.pathname.match(/^\/[^/]+\/[^/]+\/blob\/(.+)$/);
+    if (!match) {
+      return null;
+    }
+
+    const lineMatch = location.hash.match(/^#L(\d+)/);
+    const line = lineMatch ? lineMatch[1] : '';
+
+    const resolved = getResolvedPage();
+    if (resolved) {
+      return { path: resolved.path, line };
+    }
+
+    // Branch names may contain slashes, so strip the branch detected on the page rather than one segment
+    const branch = getPageBranch();
+    const refAndPath = decodeURIComponent(match[1]);
+    const path = refAndPath.startsWith(`${branch}/`) ?
+      refAndPath.slice(branch.length + 1) :
+      refAndPath.slice(refAndPath.indexOf('/') + 1);
+
+    return { path, line };
   }
 
+  /**
+   * SSH clone URL of the code being launched - on pull requests, the head repo (possibly a fork)
+   */
   function getSSHUrl(owner, repo) {
-    const gheHost = new URL(settings.gheUrl).host;
-    return `git@${gheHost}:${owner}/${repo}.git`;
+    const pullRequest = getPullRequestInfo();
+    if (pullRequest) {
+      return buildSshCloneUrl(githubHost, pullRequest.headOwner, pullRequest.headRepo);
+    }
+
+    return buildSshCloneUrl(githubHost, owner, repo);
+  }
+
+  /**
+   * Values available to launcher URL and workspace parameter placeholders
+   * workspaceName comes from the background worker when known (it may be a stored mapping),
+   * otherwise it is derived from the naming pattern
+   */
+  function getPlaceholderValues(owner, repo, sshUrl, branch, workspaceName) {
+    return getLaunchPlaceholderValues(settings, owner, repo, branch, getPullRequestInfo(), getLaunchRef(), {
+      sshUrl,
+      file: getFileLocation(),
+      devcontainerPath: getDevcontainerPath(),
+      workspaceName
+    });
   }
 
-  function buildLauncherUrl(owner, repo, sshUrl, branch) {
-    // Generate workspace name: repo-branch (sanitized for use in URLs)
-    const sanitizedBranch = branch.replace(/[^a-zA-Z0-9-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-    const sanitizedRepo = repo.replace(/[^a-zA-Z0-9-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-    const workspaceName = `${sanitizedRepo}-${sanitizedBranch}`.toLowerCase().substring(0, 32);
+  function buildLauncherUrl(owner, repo, sshUrl, branch, workspaceName) {
+    const values = getPlaceholderValues(owner, repo, sshUrl, branch, workspaceName);
 
-    return settings.launcherUrl
-      .replace(/\{ssh_url\}/g, encodeURIComponent(sshUrl))
-      .replace(/\{branch\}/g, encodeURIComponent(branch))
-      .replace(/\{repo\}/g, encodeURIComponent(repo))
-      .replace(/\{owner\}/g, encodeURIComponent(owner))
-      .replace(/\{name\}/g, encodeURIComponent(workspaceName));
+    return expandLauncherUrl(activeProfile?.launcherUrl || settings.launcherUrl, values);
   }
 
-  async function checkWorkspaceStatus(repo, branch) {
+  /**
+   * VS Code Desktop link that opens the viewed file at its line inside a workspace, or null off blob pages
+   * Goes through the SSH host the Coder VS Code extension sets up (coder-vscode.<deployment>--<owner>--<workspace>)
+   */
+  function getEditorFileUrl(owner, repo, workspace) {
+    const file = getFileLocation();
+    if (!file || !coderUrl || !workspace.ownerName) {
+      return null;
+    }
+
+    const values = getPlaceholderValues(owner, repo, getSSHUrl(owner, repo), getCurrentBranch(), workspace.workspaceName);
+    const folder = fillPlaceholders(activeProfile?.workspaceFolder || settings.workspaceFolder || DEFAULT_WORKSPACE_FOLDER, values)
+      .replace(/\/+$/, '');
+    const sshHost = `coder-vscode.${new URL(coderUrl).hostname}--${workspace.ownerName}--${workspace.workspaceName}`;
+
+    return `vscode://vscode-remote/ssh-remote+${sshHost}${encodeURI(`${folder}/${file.path}`)}${file.line ? `:${file.line}` : ''}`;
+  }
+
+  /**
+   * File link for the button, unless the user prefers opening workspaces in an app other than VS Code
+   */
+  function getPreferredFileUrl(owner, repo, workspace) {
+    const openWith = getOpenWith() || OPEN_WITH_DEFAULT;
+    return openWith === OPEN_WITH_DEFAULT || openWith === 'vscode' ? getEditorFileUrl(owner, repo, workspace) : null;
+  }
+
+  /**
+   * What the button opens for a running workspace: the profile's (or repo's) choice, then the global one
+   */
+  function getOpenWith() {
+    return activeProfile?.openWith || settings.openWith;
+  }
+
+  /**
+   * Open a workspace app: desktop app links hand off without leaving the page, web apps get a tab
+   */
+  function openAppUrl(url) {
+    if (isDesktopAppUrl(url)) {
+      location.href = url;
+    } else {
+      openTab(url);
+    }
+  }
+
+  /**
+   * Open a web page in a new tab
+   * Keyboard commands reach the page without a user gesture, so a blocked popup is opened by the background worker
+   */
+  function openTab(url) {
+    if (!window.open(url, '_blank')) {
+      chrome.runtime.sendMessage({ action: 'OPEN_TAB', url });
+    }
+  }
+
+  function openLauncherUrl(owner, repo, workspaceName) {
+    const currentBranch = getCurrentBranch();
+    const sshUrl = getSSHUrl(owner, repo);
+    const launcherUrl = buildLauncherUrl(owner, repo, sshUrl, currentBranch, workspaceName);
+    openTab(launcherUrl);
+  }
+
+  async function checkWorkspaceStatus(owner, repo, branch) {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(
-        { action: 'CHECK_WORKSPACE', repo, branch },
+        { action: 'CHECK_WORKSPACE', owner, repo, branch, pullRequest: getPullRequestInfo(), ref: getLaunchRef() },
         (response) => {
           resolve(response || { status: 'error', error: 'No response' });
         }
@@ -502,165 +803,1214 @@
     });
   }
 
-  async function stopWorkspace(workspaceId) {
+  async function createWorkspace(owner, repo, branch, values, templateName) {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(
-        { action: 'STOP_WORKSPACE', workspaceId },
+        {
+          action: 'CREATE_WORKSPACE',
+          owner,
+          repo,
+          branch,
+          values,
+          templateName,
+          pullRequest: getPullRequestInfo(),
+          ref: getLaunchRef()
+        },
         (response) => {
-          resolve(response || { success: false, error: 'No response' });
+          resolve(response || { status: 'error', error: 'No response' });
         }
       );
     });
   }
 
-  // ============================================================================
-  // BUTTON CREATION
-  // ============================================================================
+  async function checkQuota(owner, repo, branch, values, templateName) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        {
+          action: 'CHECK_QUOTA',
+          owner,
+          repo,
+          branch,
+          values,
+          templateName,
+          pullRequest: getPullRequestInfo()
+        },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
 
   /**
-   * Create the container element with proper inline-flex styling
+   * Load the launch config the repo checks in at the launched ref and layer the user's profile over it,
+   * along with the ref's devcontainer configs
    */
-  function createContainer(containerProps, additionalClassNames = []) {
-    const container = document.createElement('div');
-    container.id = BUTTON_ID + '-container';
-
-    // Apply Gitpod-style inline layout classes
-    container.classList.add(
-      'devcontainer-launcher-container',
-      'd-inline-flex',
-      'flex-items-center'
-    );
-
-    // Add any additional classes
-    if (additionalClassNames.length > 0) {
-      container.classList.add(...additionalClassNames.map(c => `devcontainer-launcher--${c}`));
-    }
+  async function loadRepoProfile(owner, repo) {
+    const { devcontainerPaths = {} } = await chrome.storage.local.get('devcontainerPaths');
+    pickedDevcontainer = devcontainerPaths[`${owner}/${repo}`] || null;
 
-    // Apply inline styles from containerProps
-    if (containerProps) {
-      Object.assign(container.style, containerProps);
-    }
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'GET_REPO_CONFIG', owner, repo, branch: getCurrentBranch(), pullRequest: getPullRequestInfo() },
+        (response) => {
+          activeProfile = resolveLaunchProfile(settings.launchProfiles, owner, repo, response?.profile || null);
+          repoDevcontainers = response?.devcontainers || null;
+          repoConfigError = response?.configError || null;
+          resolve(activeProfile);
+        }
+      );
+    });
+  }
 
-    return container;
+  /**
+   * Remember the devcontainer config picked on the button for this repo
+   */
+  async function saveDevcontainerPath(owner, repo, path) {
+    const { devcontainerPaths = {} } = await chrome.storage.local.get('devcontainerPaths');
+    devcontainerPaths[`${owner}/${repo}`] = path;
+    await chrome.storage.local.set({ devcontainerPaths });
+    pickedDevcontainer = path;
   }
 
-  function createLauncherButton(repoInfo, variant = 'default') {
-    const { owner, repo } = repoInfo;
-    const btn = document.createElement('a');
-    btn.id = BUTTON_ID;
-    btn.href = '#';
-    btn.setAttribute('role', 'button');
+  /**
+   * Devcontainer config to launch: the one picked for this repo if the ref has it, otherwise the main one
+   */
+  function getDevcontainerPath() {
+    const paths = repoDevcontainers?.paths || [];
+    return paths.includes(pickedDevcontainer) ? pickedDevcontainer : paths[0] || '';
+  }
 
-    if (variant === 'compact') {
-      btn.className = 'btn btn-sm devcontainer-launcher-btn devcontainer-launcher-btn--compact devcontainer-launcher-btn--loading';
-    } else {
-      btn.className = 'btn devcontainer-launcher-btn devcontainer-launcher-btn--loading';
-    }
+  /**
+   * Whether the launched ref is known to have no devcontainer config at all
+   */
+  function hasNoDevcontainer() {
+    return !!repoDevcontainers?.complete && repoDevcontainers.paths.length === 0;
+  }
 
-    setButtonState(btn, 'loading', variant);
+  async function getTemplates() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'GET_TEMPLATES' },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
 
-    const branch = getCurrentBranch();
+  /**
+   * Remember the template picked on the button for this repo
+   */
+  async function saveRepoTemplate(owner, repo, templateName) {
+    const { repoTemplates = {} } = await chrome.storage.local.get('repoTemplates');
+    repoTemplates[`${owner}/${repo}`] = templateName;
+    await chrome.storage.local.set({ repoTemplates });
+  }
 
-    if (hasCoderApi) {
-      checkWorkspaceStatus(repo, branch).then((result) => {
-        btn.classList.remove('devcontainer-launcher-btn--loading');
-
-        if (result.status === 'found') {
-          // Use workspaceState for smarter button display
-          const state = result.workspaceState || 'unknown';
-
-          if (state === 'running') {
-            // Workspace is running - show "Open Workspace" (primary/green)
-            setButtonState(btn, 'found-running', variant, result);
-            btn.onclick = (e) => {
-              e.preventDefault();
-              window.open(result.workspaceUrl, '_blank');
-            };
-          } else if (state === 'stopped' || state === 'failed' || state === 'canceled') {
-            // Workspace is stopped - show "Start Workspace" (warning/yellow)
-            setButtonState(btn, 'found-stopped', variant, result);
-            btn.onclick = async (e) => {
-              e.preventDefault();
-              // Start the workspace via API
-              setButtonState(btn, 'starting', variant, result);
-              const startResult = await startWorkspace(result.workspaceId);
-              if (startResult.success) {
-                // Open the workspace page to see the build progress
-                window.open(result.workspaceUrl, '_blank');
-              } else {
-                setButtonState(btn, 'error', variant, { error: startResult.error });
-                // Still allow opening the workspace page
-                setTimeout(() => {
-                  setButtonState(btn, 'found-stopped', variant, result);
-                }, 3000);
-              }
-            };
-          } else if (state === 'starting' || state === 'stopping') {
-            // Workspace is transitioning - show spinner
-            setButtonState(btn, 'transitioning', variant, result);
-            btn.onclick = (e) => {
-              e.preventDefault();
-              window.open(result.workspaceUrl, '_blank');
-            };
-          } else {
-            // Unknown state - default to open
-            setButtonState(btn, 'found', variant, result);
-            btn.onclick = (e) => {
-              e.preventDefault();
-              window.open(result.workspaceUrl, '_blank');
-            };
-          }
-        } else if (result.status === 'missing') {
-          setButtonState(btn, 'missing', variant, result);
-          btn.onclick = (e) => {
-            e.preventDefault();
-            const currentBranch = getCurrentBranch();
-            const sshUrl = getSSHUrl(owner, repo);
-            const launcherUrl = buildLauncherUrl(owner, repo, sshUrl, currentBranch);
-            window.open(launcherUrl, '_blank');
-          };
-        } else if (result.status === 'unconfigured') {
-          setButtonState(btn, 'default', variant);
-          btn.onclick = (e) => {
-            e.preventDefault();
-            const currentBranch = getCurrentBranch();
-            const sshUrl = getSSHUrl(owner, repo);
-            const launcherUrl = buildLauncherUrl(owner, repo, sshUrl, currentBranch);
-            window.open(launcherUrl, '_blank');
-          };
-        } else {
-          setButtonState(btn, 'error', variant, result);
-          btn.onclick = (e) => {
-            e.preventDefault();
-            const currentBranch = getCurrentBranch();
-            const sshUrl = getSSHUrl(owner, repo);
-            const launcherUrl = buildLauncherUrl(owner, repo, sshUrl, currentBranch);
-            window.open(launcherUrl, '_blank');
-          };
+  async function signInToCoder() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'SIGN_IN' },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
         }
-      });
-    } else {
-      btn.classList.remove('devcontainer-launcher-btn--loading');
-      setButtonState(btn, 'default', variant);
-      btn.onclick = (e) => {
-        e.preventDefault();
-        const currentBranch = getCurrentBranch();
-        const sshUrl = getSSHUrl(owner, repo);
-        const launcherUrl = buildLauncherUrl(owner, repo, sshUrl, currentBranch);
-        window.open(launcherUrl, '_blank');
-      };
-    }
-
-    return btn;
+      );
+    });
   }
 
-  function setButtonState(btn, state, variant, data = {}) {
-    btn.classList.remove(
+  /**
+   * Remember which of several matching workspaces to use for this repo/branch
+   */
+  async function selectWorkspace(owner, repo, branch, workspaceName) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'SELECT_WORKSPACE', owner, repo, branch, workspaceName, pullRequest: getPullRequestInfo(), ref: getLaunchRef() },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  /**
+   * Ask the background worker to follow a build and push WORKSPACE_UPDATE messages
+   * openUrl replaces the workspace page as what is opened once it is ready (e.g. a file in the editor)
+   */
+  async function watchWorkspace(workspaceId, openWhenReady = false, openUrl = null) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'WATCH_WORKSPACE', workspaceId, openWhenReady, openUrl, openWith: getOpenWith() },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  /**
+   * Whether a workspace result is still building (or waiting for its agent)
+   */
+  function isBuildInProgress(result) {
+    const state = result.workspaceState;
+    return result.status === 'found' &&
+      (state === 'starting' || state === 'stopping' || (state === 'running' && !result.agentsReady));
+  }
+
+  async function stopWorkspace(workspaceId) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'STOP_WORKSPACE', workspaceId },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  async function restartWorkspace(workspaceId) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'RESTART_WORKSPACE', workspaceId },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  async function updateWorkspace(workspaceId) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'UPDATE_WORKSPACE', workspaceId },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  async function deleteWorkspace(workspaceId) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'DELETE_WORKSPACE', workspaceId },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  async function getBuildLogs(workspaceId) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'GET_BUILD_LOGS', workspaceId },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  async function retryBuild(workspaceId, debug = false) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'RETRY_BUILD', workspaceId, debug },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  // ============================================================================
+  // BUTTON CREATION
+  // ============================================================================
+
+  /**
+   * Create the container element with proper inline-flex styling
+   */
+  function createContainer(containerProps, additionalClassNames = []) {
+    const container = document.createElement('div');
+    container.id = BUTTON_ID + '-container';
+
+    // Apply Gitpod-style inline layout classes
+    container.classList.add(
+      'devcontainer-launcher-container',
+      'd-inline-flex',
+      'flex-items-center'
+    );
+
+    // Add any additional classes
+    if (additionalClassNames.length > 0) {
+      container.classList.add(...additionalClassNames.map(c => `devcontainer-launcher--${c}`));
+    }
+
+    // Apply inline styles from containerProps
+    if (containerProps) {
+      Object.assign(container.style, containerProps);
+    }
+
+    return container;
+  }
+
+  function createLauncherButton(repoInfo, variant = 'default') {
+    const { owner, repo } = repoInfo;
+    const btn = document.createElement('a');
+    btn.id = BUTTON_ID;
+    btn.href = '#';
+    btn.setAttribute('role', 'button');
+
+    if (variant === 'compact') {
+      btn.className = 'btn btn-sm devcontainer-launcher-btn devcontainer-launcher-btn--compact devcontainer-launcher-btn--loading';
+    } else {
+      btn.className = 'btn devcontainer-launcher-btn devcontainer-launcher-btn--loading';
+    }
+
+    setButtonState(btn, 'loading', variant);
+
+    // Split-button caret; hidden until a state provides menu items
+    btn.menuToggle = createMenuToggle(variant);
+
+    // Kept for applying WORKSPACE_UPDATE messages from the background worker
+    btn.launchContext = { repoInfo, variant };
+
+    if (hasCoderApi) {
+      // The workspace lookup needs the real branch, so wait for the API resolution (if any)
+      resolvePageRef(owner, repo)
+        .then(() => loadRepoProfile(owner, repo))
+        .then(() => checkWorkspaceStatus(owner, repo, getCurrentBranch()))
+        .then((result) => {
+          btn.classList.remove('devcontainer-launcher-btn--loading');
+          applyWorkspaceResult(btn, repoInfo, variant, result);
+
+          // Follow builds that were already in progress when the page loaded
+          if (isBuildInProgress(result)) {
+            watchWorkspace(result.workspaceId);
+          }
+        });
+    } else {
+      // Launcher only - usable right away; the resolved ref and devcontainer check refine it when they arrive
+      applyWorkspaceResult(btn, repoInfo, variant, { status: 'unconfigured' });
+
+      resolvePageRef(owner, repo)
+        .then(() => loadRepoProfile(owner, repo))
+        .then(() => {
+          applyWorkspaceResult(btn, repoInfo, variant, { status: 'unconfigured' });
+        });
+    }
+
+    return btn;
+  }
+
+  /**
+   * Render a CHECK_WORKSPACE/CREATE_WORKSPACE result on the button and wire its click action
+   */
+  function applyWorkspaceResult(btn, repoInfo, variant, result) {
+    const { owner, repo } = repoInfo;
+
+    setMenuProvider(btn, null);
+    btn.dataset.workspaceId = result.workspaceId || '';
+    btn.workspaceResult = result;
+
+    if (result.signInRequired) {
+      // No usable Coder session - sign in, then check again
+      setButtonState(btn, 'signin', variant, result);
+      btn.onclick = async (e) => {
+        e.preventDefault();
+        setButtonState(btn, 'loading', variant);
+
+        const signedIn = await signInToCoder();
+        if (!signedIn.success) {
+          setButtonState(btn, 'signin', variant, { error: signedIn.error });
+          return;
+        }
+
+        applyWorkspaceResult(btn, repoInfo, variant, await checkWorkspaceStatus(owner, repo, getCurrentBranch()));
+      };
+
+      if (activeProfile?.launcherUrl || settings.launcherUrl) {
+        setMenuProvider(btn, () => [{
+          label: 'Use launcher URL',
+          description: 'Open the launcher without signing in',
+          onSelect: () => openLauncherUrl(owner, repo)
+        }]);
+      }
+    } else if (result.status === 'found') {
+      // Use workspaceState for smarter button display
+      const state = result.workspaceState || 'unknown';
+
+      if (state === 'running' && result.agentsReady === false) {
+        // Build finished but the agent is still connecting - not usable yet
+        setButtonState(btn, 'transitioning', variant, result);
+        btn.onclick = (e) => {
+          e.preventDefault();
+          openTab(result.workspaceUrl);
+        };
+      } else if (state === 'running') {
+        // Workspace is running - open the viewed file, the preferred app, or the dashboard page
+        const fileUrl = getPreferredFileUrl(owner, repo, result);
+        const preferredApp = findPreferredApp(result.apps, getOpenWith());
+        setButtonState(btn, 'found-running', variant, { ...result, fileUrl, preferredApp, file: getFileLocation() });
+        btn.onclick = (e) => {
+          e.preventDefault();
+          if (fileUrl) {
+            // Re-read so a line selected after the button was drawn is used
+            openAppUrl(getEditorFileUrl(owner, repo, result));
+          } else {
+            openAppUrl(preferredApp ? preferredApp.url : result.workspaceUrl);
+          }
+        };
+      } else if (state === 'failed' || state === 'canceled') {
+        // The last build didn't finish - show why, with retry, instead of starting blindly
+        setButtonState(btn, 'found-failed', variant, result);
+        btn.onclick = (e) => {
+          e.preventDefault();
+          showBuildLogs(btn, repoInfo, variant, result);
+        };
+      } else if (state === 'stopped') {
+        // Workspace is stopped - show "Start Workspace" (warning/yellow)
+        setButtonState(btn, 'found-stopped', variant, result);
+        btn.onclick = async (e) => {
+          e.preventDefault();
+          // Start the workspace via API
+          setButtonState(btn, 'starting', variant, { ...result, buildStartedAt: new Date().toISOString() });
+          const startResult = await startWorkspace(result.workspaceId);
+          if (startResult.success) {
+            // Background follows the build and opens the workspace once its agent connects
+            watchWorkspace(result.workspaceId, true, getPreferredFileUrl(owner, repo, result));
+          } else {
+            setButtonState(btn, 'error', variant, { error: startResult.error });
+            // Still allow opening the workspace page
+            setTimeout(() => {
+              setButtonState(btn, 'found-stopped', variant, result);
+            }, 3000);
+          }
+        };
+      } else if (state === 'starting' || state === 'stopping' || state === 'deleting') {
+        // Workspace is transitioning - show spinner
+        setButtonState(btn, 'transitioning', variant, result);
+        btn.onclick = (e) => {
+          e.preventDefault();
+          openTab(result.workspaceUrl);
+        };
+      } else {
+        // Unknown state - default to open
+        setButtonState(btn, 'found', variant, result);
+        btn.onclick = (e) => {
+          e.preventDefault();
+          openTab(result.workspaceUrl);
+        };
+      }
+
+      if (result.matches) {
+        btn.title += ` (${result.matches.length} workspaces match this branch)`;
+      }
+
+      // Workspace chooser and actions menu, unless a build is already running
+      if (result.matches || !isBuildInProgress(result) || state === 'running') {
+        setMenuProvider(btn, () => getWorkspaceActions(btn, repoInfo, variant, result));
+      }
+    } else if ((result.status === 'missing' || result.status === 'unconfigured') && hasNoDevcontainer()) {
+      showNoDevcontainer(btn, repoInfo, variant, result);
+    } else if (result.status === 'missing') {
+      setButtonState(btn, 'missing', variant, result);
+      btn.onclick = (e) => {
+        e.preventDefault();
+        launchMissingWorkspace(btn, repoInfo, variant, result);
+      };
+
+      // Template picker; picking one also lets a repo without a configured template be created in place
+      setMenuProvider(btn, async () => {
+        const response = await getTemplates();
+        if (!response.success) {
+          return [{ type: 'note', label: response.error || 'Failed to load templates' }];
+        }
+
+        return [
+          { type: 'header', label: 'Create with template' },
+          ...response.templates.map(template => ({
+            label: template.displayName,
+            description: template.description,
+            icon: template.icon,
+            checked: template.name === result.templateName,
+            onSelect: async () => {
+              result.templateName = template.name;
+              result.canCreate = true;
+              await saveRepoTemplate(owner, repo, template.name);
+              setButtonState(btn, 'missing', variant, result);
+            }
+          }))
+        ];
+      });
+    } else if (result.status === 'unconfigured') {
+      setButtonState(btn, 'default', variant);
+      btn.onclick = (e) => {
+        e.preventDefault();
+        openLauncherUrl(owner, repo);
+      };
+    } else {
+      setButtonState(btn, 'error', variant, result);
+      btn.onclick = (e) => {
+        e.preventDefault();
+        openLauncherUrl(owner, repo);
+      };
+    }
+
+    addLaunchOptionItems(btn, repoInfo, variant, result);
+  }
+
+  /**
+   * Create the workspace for a missing result, or open the launcher URL when no template is configured
+   * A launch that would go over (or close to) the Coder quota shows the quota panel instead;
+   * quotaConfirmed skips the check once the user chose to create anyway
+   */
+  async function launchMissingWorkspace(btn, repoInfo, variant, result, quotaConfirmed = false) {
+    const { owner, repo } = repoInfo;
+
+    if (!result.canCreate) {
+      openLauncherUrl(owner, repo, result.workspaceName);
+      return;
+    }
+
+    const currentBranch = getCurrentBranch();
+    const sshUrl = getSSHUrl(owner, repo);
+    const values = getPlaceholderValues(owner, repo, sshUrl, currentBranch, result.workspaceName);
+
+    if (!quotaConfirmed) {
+      setButtonState(btn, 'loading', variant);
+      const quota = await checkQuota(owner, repo, currentBranch, values, result.templateName);
+
+      // A failed check doesn't block: Coder still enforces the quota itself
+      if (quota.success && (quota.overQuota || quota.nearQuota)) {
+        applyWorkspaceResult(btn, repoInfo, variant, result);
+        showQuota(btn, repoInfo, variant, result, quota);
+        return;
+      }
+    }
+
+    setButtonState(btn, 'creating', variant, result);
+    const created = await createWorkspace(owner, repo, currentBranch, values, result.templateName);
+
+    if (created.status === 'found') {
+      applyWorkspaceResult(btn, repoInfo, variant, created);
+      watchWorkspace(created.workspaceId, true, getPreferredFileUrl(owner, repo, created));
+    } else {
+      setButtonState(btn, 'error', variant, { error: created.error });
+      setTimeout(() => {
+        applyWorkspaceResult(btn, repoInfo, variant, result);
+      }, 3000);
+    }
+  }
+
+  /**
+   * "No devcontainer" state: the launched ref has no devcontainer config, so a devcontainer
+   * template would fail inside Coder. Launching anyway uses the default template (or the launcher URL).
+   */
+  function showNoDevcontainer(btn, repoInfo, variant, result) {
+    const { owner, repo } = repoInfo;
+    const launch = () => result.canCreate ?
+      launchMissingWorkspace(btn, repoInfo, variant, result) :
+      openLauncherUrl(owner, repo, result.workspaceName);
+
+    setButtonState(btn, 'no-devcontainer', variant, { ...result, branch: getCurrentBranch() });
+    btn.onclick = (e) => {
+      e.preventDefault();
+      const target = result.canCreate ? `with the template "${result.templateName}"` : 'through the launcher URL';
+      if (window.confirm(`${owner}/${repo} has no devcontainer config at ${getCurrentBranch()}. Launch ${target} anyway?`)) {
+        launch();
+      }
+    };
+
+    setMenuProvider(btn, () => [{
+      label: result.canCreate ? 'Launch with default template' : 'Use launcher URL anyway',
+      description: result.canCreate ? `Create ${result.workspaceName} from ${result.templateName}` : 'No devcontainer config on this ref',
+      onSelect: launch
+    }]);
+  }
+
+  /**
+   * Add the launch options that don't depend on the workspace state to the caret menu:
+   * the devcontainer picker and, on compare, tag and release pages, pinning to the commit
+   */
+  function addLaunchOptionItems(btn, repoInfo, variant, result) {
+    const items = [
+      ...getDevcontainerItems(btn, repoInfo, variant, result),
+      ...getLaunchPinItems(btn, repoInfo, variant),
+      ...(repoConfigError ? [{ type: 'note', label: `Repository launch config not loaded: ${repoConfigError}` }] : [])
+    ];
+    if (items.length === 0) {
+      return;
+    }
+
+    const pin = getLaunchPin();
+    if (pin) {
+      btn.title += ` (pinned to ${pin.sha.slice(0, SHORT_SHA_LENGTH)})`;
+    }
+
+    const stateProvider = btn.menuToggle?.menuProvider;
+    setMenuProvider(btn, async () => [...(stateProvider ? await stateProvider() : []), ...items]);
+  }
+
+  /**
+   * Picker for repos with several devcontainer configs, until a workspace exists
+   */
+  function getDevcontainerItems(btn, repoInfo, variant, result) {
+    const paths = repoDevcontainers?.paths || [];
+    if (paths.length < 2 || result.status === 'found') {
+      return [];
+    }
+
+    const selected = getDevcontainerPath();
+    return [
+      { type: 'header', label: 'Devcontainer' },
+      ...paths.map(path => ({
+        label: path.match(/^\.devcontainer\/([^/]+)\/devcontainer\.json$/)?.[1] || 'Default',
+        description: path,
+        checked: path === selected,
+        onSelect: async () => {
+          await saveDevcontainerPath(repoInfo.owner, repoInfo.repo, path);
+          applyWorkspaceResult(btn, repoInfo, variant, result);
+        }
+      }))
+    ];
+  }
+
+  /**
+   * Choice between launching the page's ref and a workspace pinned to its commit
+   */
+  function getLaunchPinItems(btn, repoInfo, variant) {
+    const sha = getLaunchPin()?.sha || getPinnableCommit(repoInfo);
+    if (!sha) {
+      return [];
+    }
+
+    const pinned = !!getLaunchPin();
+    return [
+      { type: 'header', label: 'Launch' },
+      {
+        label: `Follow ${getPageBranch()}`,
+        description: 'Workspace of the branch or tag',
+        checked: !pinned,
+        onSelect: () => pinned && switchLaunchPin(btn, repoInfo, variant, null)
+      },
+      {
+        label: 'Pin to this commit',
+        description: `Own workspace at ${sha.slice(0, SHORT_SHA_LENGTH)}`,
+        checked: pinned,
+        onSelect: () => !pinned && switchLaunchPin(btn, repoInfo, variant, sha)
+      }
+    ];
+  }
+
+  /**
+   * Switch the button between the page's ref and a commit-pinned launch (sha null to unpin)
+   */
+  async function switchLaunchPin(btn, repoInfo, variant, sha) {
+    launchPin = sha ? { pathname: location.pathname, sha } : null;
+
+    if (!hasCoderApi) {
+      // The launcher URL reads the pin on click; only the menu needs redrawing
+      applyWorkspaceResult(btn, repoInfo, variant, { status: 'unconfigured' });
+      return;
+    }
+
+    setMenuProvider(btn, null);
+    setButtonState(btn, 'loading', variant);
+
+    const result = await checkWorkspaceStatus(repoInfo.owner, repoInfo.repo, getCurrentBranch());
+    applyWorkspaceResult(btn, repoInfo, variant, result);
+    if (isBuildInProgress(result)) {
+      watchWorkspace(result.workspaceId);
+    }
+  }
+
+  /**
+   * Caret menu items for an existing workspace
+   */
+  function getWorkspaceActions(btn, repoInfo, variant, result) {
+    const state = result.workspaceState;
+    const items = [];
+
+    // Several workspaces were created for this repo/branch - let the user pick one
+    if (result.matches) {
+      items.push({ type: 'header', label: 'Workspaces for this branch' });
+      for (const match of result.matches) {
+        items.push({
+          label: match.workspaceName,
+          description: [match.workspaceState, match.templateName].filter(Boolean).join(' · '),
+          checked: match.workspaceId === result.workspaceId,
+          onSelect: async () => {
+            await selectWorkspace(repoInfo.owner, repoInfo.repo, getCurrentBranch(), match.workspaceName);
+            applyWorkspaceResult(btn, repoInfo, variant, { ...match, matches: result.matches });
+            if (isBuildInProgress(match)) {
+              watchWorkspace(match.workspaceId);
+            }
+          }
+        });
+      }
+    }
+
+    if (isBuildInProgress(result) && state !== 'running') {
+      return items;
+    }
+
+    if (state === 'running') {
+      items.push(...getOpenWithItems(repoInfo, result));
+    }
+
+    items.push({ type: 'header', label: result.workspaceName });
+
+    items.push({
+      label: 'Build logs',
+      description: state === 'failed' || state === 'canceled' ?
+        'Why the last build failed' :
+        'Error and log tail of the latest build',
+      onSelect: () => showBuildLogs(btn, repoInfo, variant, result)
+    });
+
+    if (state === 'running') {
+      items.push({
+        label: 'Stop',
+        description: 'Stop the workspace; its disk is kept',
+        onSelect: () => runWorkspaceAction(btn, repoInfo, variant, result, 'stopping', stopWorkspace)
+      });
+      items.push({
+        label: 'Restart',
+        description: 'Stop and start the workspace again',
+        onSelect: () => runWorkspaceAction(btn, repoInfo, variant, result, 'restarting', restartWorkspace)
+      });
+    }
+
+    if (result.outdated) {
+      items.push({
+        label: 'Update to latest template version',
+        description: state === 'running' ?
+          'Restarts the workspace on the active template version' :
+          'Starts the workspace on the active template version',
+        onSelect: () => runWorkspaceAction(btn, repoInfo, variant, result, 'updating', updateWorkspace)
+      });
+    }
+
+    items.push({
+      label: 'Delete',
+      description: 'Permanently delete the workspace and its data',
+      danger: true,
+      onSelect: () => {
+        if (!window.confirm(`Delete workspace "${result.workspaceName}"? This cannot be undone.`)) {
+          return;
+        }
+        runWorkspaceAction(btn, repoInfo, variant, result, 'deleting', deleteWorkspace);
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * "Open with" entries of a running workspace: the viewed file, its apps and the dashboard page
+   */
+  function getOpenWithItems(repoInfo, result) {
+    const preferredApp = findPreferredApp(result.apps, getOpenWith());
+    const fileUrl = getEditorFileUrl(repoInfo.owner, repoInfo.repo, result);
+    const items = [{ type: 'header', label: 'Open with' }];
+
+    if (fileUrl) {
+      const file = getFileLocation();
+      items.push({
+        label: 'This file in VS Code Desktop',
+        description: `${file.path}${file.line ? `:${file.line}` : ''}`,
+        onSelect: () => openAppUrl(getEditorFileUrl(repoInfo.owner, repoInfo.repo, result))
+      });
+    }
+
+    for (const app of result.apps || []) {
+      items.push({
+        label: app.label,
+        description: app.healthy ? null : 'Unhealthy',
+        icon: app.icon,
+        checked: app === preferredApp,
+        onSelect: () => openAppUrl(app.url)
+      });
+    }
+
+    items.push({
+      label: 'Coder dashboard',
+      description: 'Workspace page in Coder',
+      checked: !preferredApp,
+      onSelect: () => openAppUrl(result.workspaceUrl)
+    });
+
+    return items;
+  }
+
+  /**
+   * Run a build-transition action from the caret menu, then follow the build
+   */
+  async function runWorkspaceAction(btn, repoInfo, variant, result, pendingState, action) {
+    setMenuProvider(btn, null);
+    setButtonState(btn, pendingState, variant, { ...result, buildStartedAt: new Date().toISOString() });
+
+    const response = await action(result.workspaceId);
+
+    if (response.success) {
+      watchWorkspace(result.workspaceId);
+    } else {
+      setButtonState(btn, 'error', variant, { error: response.error });
+      setTimeout(() => {
+        applyWorkspaceResult(btn, repoInfo, variant, result);
+      }, 3000);
+    }
+  }
+
+  // ============================================================================
+  // SPLIT-BUTTON MENU
+  // ============================================================================
+
+  /**
+   * Create the caret half of the split button
+   */
+  function createMenuToggle(variant) {
+    const toggle = document.createElement('button');
+    toggle.id = BUTTON_ID + '-caret';
+    toggle.type = 'button';
+    toggle.hidden = true;
+    toggle.setAttribute('aria-haspopup', 'menu');
+    toggle.setAttribute('aria-label', 'More launch options');
+    toggle.className = variant === 'compact' ?
+      'btn btn-sm devcontainer-launcher-caret devcontainer-launcher-btn--compact' :
+      'btn devcontainer-launcher-caret';
+    toggle.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16" fill="currentColor" class="octicon" aria-hidden="true">
+        <path d="m4.427 7.427 3.396 3.396a.25.25 0 0 0 .354 0l3.396-3.396A.25.25 0 0 0 11.396 7H4.604a.25.25 0 0 0-.177.427Z"/>
+      </svg>
+    `;
+
+    toggle.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (document.getElementById(BUTTON_ID + '-menu')) {
+        closeMenu();
+      } else {
+        openMenu(toggle);
+      }
+    };
+
+    return toggle;
+  }
+
+  /**
+   * Set the function that builds the caret menu items for the current state
+   * Pass null to hide the caret
+   */
+  function setMenuProvider(btn, provider) {
+    const toggle = btn.menuToggle;
+    if (!toggle) return;
+
+    toggle.menuProvider = provider;
+    toggle.hidden = !provider;
+    btn.classList.toggle('devcontainer-launcher-btn--split', !!provider);
+    closeMenu();
+  }
+
+  /**
+   * Open the dropdown under the caret
+   * Items: { type: 'header' | 'note', label } or { label, description, icon, checked, danger, onSelect }
+   */
+  async function openMenu(toggle) {
+    if (!toggle.menuProvider) return;
+
+    const menu = document.createElement('div');
+    menu.id = BUTTON_ID + '-menu';
+    menu.className = 'devcontainer-launcher-menu';
+    menu.setAttribute('role', 'menu');
+    menu.innerHTML = '<div class="devcontainer-launcher-menu__note"><span class="devcontainer-launcher-spinner"></span> Loading...</div>';
+    toggle.parentNode.appendChild(menu);
+
+    const items = await toggle.menuProvider();
+
+    // Closed (or reopened) while loading
+    if (!menu.isConnected) return;
+
+    menu.innerHTML = '';
+    for (const item of items) {
+      menu.appendChild(createMenuItem(item));
+    }
+
+    document.addEventListener('click', handleOutsideClick, true);
+    document.addEventListener('keydown', handleMenuKeydown, true);
+  }
+
+  function createMenuItem(item) {
+    if (item.type === 'header' || item.type === 'note') {
+      const el = document.createElement('div');
+      el.className = `devcontainer-launcher-menu__${item.type}`;
+      el.textContent = item.label;
+      return el;
+    }
+
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.className = 'devcontainer-launcher-menu__item';
+    el.setAttribute('role', item.checked !== undefined ? 'menuitemradio' : 'menuitem');
+    if (item.checked) {
+      el.setAttribute('aria-checked', 'true');
+      el.classList.add('devcontainer-launcher-menu__item--checked');
+    }
+    if (item.danger) {
+      el.classList.add('devcontainer-launcher-menu__item--danger');
+    }
+
+    if (item.icon) {
+      const icon = document.createElement('img');
+      icon.className = 'devcontainer-launcher-menu__icon';
+      icon.src = item.icon;
+      icon.alt = '';
+      icon.onerror = () => { icon.style.visibility = 'hidden'; };
+      el.appendChild(icon);
+    }
+
+    const text = document.createElement('span');
+    text.className = 'devcontainer-launcher-menu__text';
+
+    const label = document.createElement('span');
+    label.className = 'devcontainer-launcher-menu__label';
+    label.textContent = item.label;
+    text.appendChild(label);
+
+    if (item.description) {
+      const description = document.createElement('span');
+      description.className = 'devcontainer-launcher-menu__description';
+      description.textContent = item.description;
+      text.appendChild(description);
+    }
+
+    el.appendChild(text);
+
+    el.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      closeMenu();
+      item.onSelect?.();
+    };
+
+    return el;
+  }
+
+  function closeMenu() {
+    const menu = document.getElementById(BUTTON_ID + '-menu');
+    if (menu) {
+      menu.remove();
+    }
+    document.removeEventListener('click', handleOutsideClick, true);
+    document.removeEventListener('keydown', handleMenuKeydown, true);
+  }
+
+  function handleOutsideClick(e) {
+    const menu = document.getElementById(BUTTON_ID + '-menu');
+    const toggle = document.getElementById(BUTTON_ID + '-caret');
+    if (menu && !menu.contains(e.target) && !(toggle && toggle.contains(e.target))) {
+      closeMenu();
+    }
+  }
+
+  function handleMenuKeydown(e) {
+    if (e.key === 'Escape') {
+      closeMenu();
+      document.getElementById(BUTTON_ID + '-caret')?.focus();
+    }
+  }
+
+  // ============================================================================
+  // PANEL
+  // ============================================================================
+
+  /**
+   * Open a panel under the button, showing a loading note until it is rendered
+   * Only one panel is open at a time; it closes on Escape, outside clicks and its close button
+   */
+  function openPanel(btn, label, loadingText) {
+    closeMenu();
+    closePanel();
+
+    const panel = document.createElement('div');
+    panel.id = BUTTON_ID + '-panel';
+    panel.className = 'devcontainer-launcher-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', label);
+    panel.innerHTML = `<div class="devcontainer-launcher-menu__note"><span class="devcontainer-launcher-spinner"></span> ${loadingText}</div>`;
+    btn.parentNode.appendChild(panel);
+
+    document.addEventListener('click', handlePanelOutsideClick, true);
+    document.addEventListener('keydown', handlePanelKeydown, true);
+
+    return panel;
+  }
+
+  /**
+   * Clear a panel and give it a title row with a close button
+   */
+  function renderPanelHeader(panel, titleText) {
+    panel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'devcontainer-launcher-panel__header';
+
+    const title = document.createElement('span');
+    title.className = 'devcontainer-launcher-panel__title';
+    title.textContent = titleText;
+    header.appendChild(title);
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'devcontainer-launcher-panel__close';
+    close.setAttribute('aria-label', 'Close');
+    close.textContent = '\u00d7';
+    close.onclick = (e) => {
+      e.preventDefault();
+      closePanel();
+    };
+    header.appendChild(close);
+    panel.appendChild(header);
+  }
+
+  function createPanelAction(label, className, onSelect) {
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.className = className;
+    el.textContent = label;
+    el.onclick = (e) => {
+      e.preventDefault();
+      closePanel();
+      onSelect();
+    };
+    return el;
+  }
+
+  function closePanel() {
+    const panel = document.getElementById(BUTTON_ID + '-panel');
+    if (panel) {
+      panel.remove();
+    }
+    document.removeEventListener('click', handlePanelOutsideClick, true);
+    document.removeEventListener('keydown', handlePanelKeydown, true);
+  }
+
+  function handlePanelOutsideClick(e) {
+    const panel = document.getElementById(BUTTON_ID + '-panel');
+    const container = document.getElementById(BUTTON_ID + '-container');
+    if (panel && !panel.contains(e.target) && !(container && container.contains(e.target))) {
+      closePanel();
+    }
+  }
+
+  function handlePanelKeydown(e) {
+    if (e.key === 'Escape') {
+      closePanel();
+      document.getElementById(BUTTON_ID)?.focus();
+    }
+  }
+
+  // ============================================================================
+  // BUILD LOGS
+  // ============================================================================
+
+  /**
+   * Open the panel with the latest build's error and log tail under the button
+   */
+  async function showBuildLogs(btn, repoInfo, variant, result) {
+    const panel = openPanel(btn, `Build logs of ${result.workspaceName}`, 'Loading build logs...');
+    const logs = await getBuildLogs(result.workspaceId);
+
+    // Closed while loading
+    if (!panel.isConnected) return;
+
+    renderBuildLogs(panel, btn, repoInfo, variant, result, logs);
+  }
+
+  function renderBuildLogs(panel, btn, repoInfo, variant, result, logs) {
+    renderPanelHeader(
+      panel,
+      logs.success ?
+        `${logs.workspaceName}: ${logs.transition || 'build'} ${logs.buildStatus || 'unknown'}` :
+        result.workspaceName
+    );
+
+    if (!logs.success) {
+      panel.appendChild(createMenuItem({ type: 'note', label: logs.error || 'Failed to load build logs' }));
+      return;
+    }
+
+    if (logs.jobError) {
+      const error = document.createElement('div');
+      error.className = 'devcontainer-launcher-panel__error';
+      error.textContent = logs.jobError;
+      panel.appendChild(error);
+    }
+
+    const sections = [
+      { label: 'Provisioner', lines: logs.provisionerLogs },
+      ...logs.agentLogs.map(agent => ({
+        label: `Agent ${agent.name}${agent.lifecycleState ? ` (${agent.lifecycleState.replace(/_/g, ' ')})` : ''}`,
+        lines: agent.lines
+      }))
+    ].filter(section => section.lines.length > 0);
+
+    if (sections.length === 0) {
+      panel.appendChild(createMenuItem({ type: 'note', label: 'No logs were recorded for this build' }));
+    }
+
+    for (const section of sections) {
+      panel.appendChild(createMenuItem({ type: 'header', label: section.label }));
+
+      const pre = document.createElement('pre');
+      pre.className = 'devcontainer-launcher-logs__output';
+      for (const line of section.lines) {
+        const el = document.createElement('span');
+        el.className = `devcontainer-launcher-logs__line devcontainer-launcher-logs__line--${line.level}`;
+        el.textContent = line.text + '\n';
+        pre.appendChild(el);
+      }
+      panel.appendChild(pre);
+      // Failures are explained at the end
+      pre.scrollTop = pre.scrollHeight;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'devcontainer-launcher-panel__actions';
+
+    // A failed stop or delete is redone from the workspace actions, not retried as a start
+    if ((logs.workspaceState === 'failed' || logs.workspaceState === 'canceled') && logs.transition === 'start') {
+      actions.appendChild(createPanelAction('Retry', 'btn btn-sm btn-primary', () => {
+        retryFailedBuild(btn, repoInfo, variant, result, false);
+      }));
+      actions.appendChild(createPanelAction('Retry with debug logging', 'btn btn-sm', () => {
+        retryFailedBuild(btn, repoInfo, variant, result, true);
+      }));
+    }
+    actions.appendChild(createPanelAction('Open in Coder', 'btn btn-sm', () => {
+      openTab(logs.logsUrl);
+    }));
+
+    panel.appendChild(actions);
+  }
+
+  /**
+   * Queue the failed build again and open the workspace once it is ready, like "Start Workspace"
+   */
+  async function retryFailedBuild(btn, repoInfo, variant, result, debug) {
+    setMenuProvider(btn, null);
+    setButtonState(btn, 'starting', variant, { ...result, buildStartedAt: new Date().toISOString() });
+
+    const response = await retryBuild(result.workspaceId, debug);
+
+    if (response.success) {
+      watchWorkspace(result.workspaceId, true, getPreferredFileUrl(repoInfo.owner, repoInfo.repo, result));
+    } else {
+      setButtonState(btn, 'error', variant, { error: response.error });
+      setTimeout(() => {
+        applyWorkspaceResult(btn, repoInfo, variant, result);
+      }, 3000);
+    }
+  }
+
+  // ============================================================================
+  // QUOTA
+  // ============================================================================
+
+  /**
+   * Panel for a launch over or close to the quota: its cost and size, the budget left, and the
+   * least recently used running workspaces with a Stop action. Over the quota, creating is blocked.
+   */
+  function showQuota(btn, repoInfo, variant, result, quota) {
+    const panel = openPanel(btn, 'Workspace quota', '');
+    const left = Math.max(0, quota.quota.budget - quota.quota.consumed);
+
+    renderPanelHeader(panel, quota.overQuota ? 'Over your workspace quota' : 'Close to your workspace quota');
+
+    const size = quota.parameters.map(parameter => `${parameter.name}=${parameter.value}`).join(', ');
+    panel.appendChild(createMenuItem({
+      type: 'note',
+      label: `${result.workspaceName} costs ${quota.cost} credits a day${size ? ` (${size})` : ''}; ` +
+        `${quota.quota.consumed} of ${quota.quota.budget} are in use, ${left} left.`
+    }));
+
+    if (quota.idleWorkspaces.length > 0) {
+      panel.appendChild(createMenuItem({ type: 'header', label: 'Stop a running workspace, least recently used first' }));
+
+      for (const workspace of quota.idleWorkspaces) {
+        const item = createMenuItem({
+          label: workspace.workspaceName,
+          description: [
+            workspace.lastUsedAt ? `Used ${formatRelativeTime(workspace.lastUsedAt)}` : null,
+            `${workspace.dailyCost} credits a day`
+          ].filter(Boolean).join(' · '),
+          onSelect: () => stopIdleWorkspace(item, workspace)
+        });
+        panel.appendChild(item);
+      }
+    } else {
+      panel.appendChild(createMenuItem({ type: 'note', label: 'None of your workspaces are running.' }));
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'devcontainer-launcher-panel__actions';
+
+    // Coder would refuse the build over quota; close to it, it's the user's call
+    if (!quota.overQuota) {
+      actions.appendChild(createPanelAction('Create anyway', 'btn btn-sm btn-primary', () => {
+        launchMissingWorkspace(btn, repoInfo, variant, result, true);
+      }));
+    }
+    actions.appendChild(createPanelAction('Cancel', 'btn btn-sm', () => {}));
+
+    panel.appendChild(actions);
+  }
+
+  /**
+   * Stop a workspace suggested in the quota panel; the panel stays open so more can be stopped
+   */
+  async function stopIdleWorkspace(item, workspace) {
+    const status = document.createElement('div');
+    status.className = 'devcontainer-launcher-menu__note';
+    status.textContent = `Stopping ${workspace.workspaceName}...`;
+    item.replaceWith(status);
+
+    const response = await stopWorkspace(workspace.workspaceId);
+    status.textContent = response.success ?
+      `Stopping ${workspace.workspaceName}. Create the new workspace once it has stopped.` :
+      response.error || `Failed to stop ${workspace.workspaceName}`;
+  }
+
+  // Spinner text for actions started from this tab
+  const ACTION_TEXT = {
+    starting: 'Starting...',
+    creating: 'Creating...',
+    stopping: 'Stopping...',
+    restarting: 'Restarting...',
+    updating: 'Updating...',
+    deleting: 'Deleting...',
+  };
+
+  // Spinner text for builds in progress, keyed by workspaceState
+  const WORKSPACE_STATE_TEXT = {
+    starting: 'Starting...',
+    stopping: 'Stopping...',
+    deleting: 'Deleting...',
+    running: 'Connecting...',
+  };
+
+  function setButtonState(btn, state, variant, data = {}) {
+    clearInterval(btn.elapsedTimer);
+
+    btn.classList.remove(
       'devcontainer-launcher-btn--loading',
       'devcontainer-launcher-btn--found',
       'devcontainer-launcher-btn--found-running',
       'devcontainer-launcher-btn--found-stopped',
+      'devcontainer-launcher-btn--found-failed',
       'devcontainer-launcher-btn--missing',
+      'devcontainer-launcher-btn--no-devcontainer',
       'devcontainer-launcher-btn--error',
       'devcontainer-launcher-btn--transitioning',
       'btn-primary'
@@ -681,16 +2031,26 @@
         break;
 
       case 'found':
-      case 'found-running':
+      case 'found-running': {
+        const openLabel = data.fileUrl ? 'Open in VS Code' :
+          data.preferredApp ? `Open in ${data.preferredApp.label}` : 'Open Workspace';
         btn.classList.add('devcontainer-launcher-btn--found', 'devcontainer-launcher-btn--found-running', 'btn-primary');
         btn.innerHTML = `
           <svg xmlns="http://www.w3.org/2000/svg" width="${iconSize}" height="${iconSize}" viewBox="0 0 16 16" fill="currentColor" class="octicon" aria-hidden="true" style="${iconStyle}">
             <path d="M8.22 2.97a.75.75 0 0 1 1.06 0l4.25 4.25a.75.75 0 0 1 0 1.06l-4.25 4.25a.751.751 0 0 1-1.042-.018.751.751 0 0 1-.018-1.042l2.97-2.97H3.75a.75.75 0 0 1 0-1.5h7.44L8.22 4.03a.75.75 0 0 1 0-1.06Z"/>
           </svg>
-          ${isCompact ? '<span class="devcontainer-launcher-btn__text">Open Workspace</span>' : 'Open Workspace'}
+          ${isCompact ? `<span class="devcontainer-launcher-btn__text">${openLabel}</span>` : openLabel}
         `;
-        btn.title = data.workspaceName ? `Open running workspace: ${data.workspaceName}` : 'Open running workspace';
+        if (data.fileUrl) {
+          btn.title = `Open ${data.file.path}${data.file.line ? `:${data.file.line}` : ''} in ${data.workspaceName}`;
+        } else {
+          btn.title = data.workspaceName ? `Open running workspace: ${data.workspaceName}` : 'Open running workspace';
+        }
+        if (data.outdated) {
+          btn.title += ' (template update available)';
+        }
         break;
+      }
 
       case 'found-stopped':
         btn.classList.add('devcontainer-launcher-btn--found', 'devcontainer-launcher-btn--found-stopped');
@@ -702,17 +2062,55 @@
           ${isCompact ? '<span class="devcontainer-launcher-btn__text">Start Workspace</span>' : 'Start Workspace'}
         `;
         btn.title = data.workspaceName ? `Start stopped workspace: ${data.workspaceName}` : 'Start stopped workspace';
+        if (data.outdated) {
+          btn.title += ' (template update available)';
+        }
         break;
 
+      case 'found-failed': {
+        const failedLabel = data.workspaceState === 'canceled' ? 'Build Canceled' : 'Build Failed';
+        btn.classList.add('devcontainer-launcher-btn--found', 'devcontainer-launcher-btn--found-failed');
+        // Alert icon
+        btn.innerHTML = `
+          <svg xmlns="http://www.w3.org/2000/svg" width="${iconSize}" height="${iconSize}" viewBox="0 0 16 16" fill="currentColor" class="octicon" aria-hidden="true" style="${iconStyle}">
+            <path d="M6.457 1.047c.659-1.234 2.427-1.234 3.086 0l6.082 11.378A1.75 1.75 0 0 1 14.082 15H1.918a1.75 1.75 0 0 1-1.543-2.575Zm1.763.707a.25.25 0 0 0-.44 0L1.698 13.132a.25.25 0 0 0 .22.368h12.164a.25.25 0 0 0 .22-.368Zm.53 3.996v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 11a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"/>
+          </svg>
+          ${isCompact ? `<span class="devcontainer-launcher-btn__text">${failedLabel}</span>` : failedLabel}
+        `;
+        btn.title = data.workspaceName ?
+          `Last build of ${data.workspaceName} did not finish. Click to see why.` :
+          'Last build did not finish. Click to see why.';
+        break;
+      }
+
       case 'transitioning':
       case 'starting':
+      case 'creating':
+      case 'stopping':
+      case 'restarting':
+      case 'updating':
+      case 'deleting':
         btn.classList.add('devcontainer-launcher-btn--loading', 'devcontainer-launcher-btn--transitioning');
-        const transitionText = state === 'starting' ? 'Starting...' : (data.workspaceState === 'stopping' ? 'Stopping...' : 'Working...');
+        const transitionText = ACTION_TEXT[state] || WORKSPACE_STATE_TEXT[data.workspaceState] || 'Working...';
         btn.innerHTML = `
           <span class="devcontainer-launcher-spinner"></span>
           ${isCompact ? `<span class="devcontainer-launcher-btn__text">${transitionText}</span>` : transitionText}
+          ${data.buildStartedAt ? '<span class="devcontainer-launcher-btn__elapsed"></span>' : ''}
         `;
         btn.title = data.workspaceName ? `${transitionText} ${data.workspaceName}` : transitionText;
+        if (data.buildStartedAt) {
+          startElapsedTimer(btn, new Date(data.buildStartedAt).getTime());
+        }
+        break;
+
+      case 'signin':
+        btn.innerHTML = `
+          <svg xmlns="http://www.w3.org/2000/svg" width="${iconSize}" height="${iconSize}" viewBox="0 0 16 16" fill="currentColor" class="octicon" aria-hidden="true" style="${iconStyle}">
+            <path d="M2 2.75C2 1.784 2.784 1 3.75 1h2.5a.75.75 0 0 1 0 1.5h-2.5a.25.25 0 0 0-.25.25v10.5c0 .138.112.25.25.25h2.5a.75.75 0 0 1 0 1.5h-2.5A1.75 1.75 0 0 1 2 13.25Zm6.56 4.5h5.69a.75.75 0 0 1 0 1.5H8.56l1.97 1.97a.749.749 0 0 1-.326 1.275.749.749 0 0 1-.734-.215L6.22 8.53a.75.75 0 0 1 0-1.06l3.25-3.25a.749.749 0 0 1 1.275.326.749.749 0 0 1-.215.734Z"/>
+          </svg>
+          ${isCompact ? '<span class="devcontainer-launcher-btn__text">Sign in</span>' : 'Sign in to Coder'}
+        `;
+        btn.title = data.error ? `${data.error}. Click to try again.` : 'Sign in to Coder to find or create workspaces';
         break;
 
       case 'missing':
@@ -724,6 +2122,20 @@
           ${isCompact ? '<span class="devcontainer-launcher-btn__text">Create Workspace</span>' : 'Create Workspace'}
         `;
         btn.title = data.workspaceName ? `Create workspace: ${data.workspaceName}` : 'Create new workspace';
+        if (data.templateName) {
+          btn.title += ` (template: ${data.templateName})`;
+        }
+        break;
+
+      case 'no-devcontainer':
+        btn.classList.add('devcontainer-launcher-btn--no-devcontainer');
+        btn.innerHTML = `
+          <svg xmlns="http://www.w3.org/2000/svg" width="${iconSize}" height="${iconSize}" viewBox="0 0 16 16" fill="currentColor" class="octicon" aria-hidden="true" style="${iconStyle}">
+            <path d="M8 0a8 8 0 1 1 0 16A8 8 0 0 1 8 0ZM1.5 8a6.5 6.5 0 0 0 10.535 5.096L2.904 3.965A6.47 6.47 0 0 0 1.5 8Zm13 0a6.5 6.5 0 0 0-10.535-5.096l9.131 9.131A6.47 6.47 0 0 0 14.5 8Z"/>
+          </svg>
+          ${isCompact ? '<span class="devcontainer-launcher-btn__text">No devcontainer</span>' : 'No devcontainer'}
+        `;
+        btn.title = `No devcontainer config on ${data.branch}. Click to launch anyway.`;
         break;
 
       case 'error':
@@ -750,6 +2162,213 @@
     }
   }
 
+  /**
+   * Tick the elapsed-time indicator of a transitioning button every second
+   */
+  function startElapsedTimer(btn, since) {
+    const el = btn.querySelector('.devcontainer-launcher-btn__elapsed');
+    if (!el || isNaN(since)) return;
+
+    const update = () => {
+      if (!btn.isConnected) {
+        clearInterval(btn.elapsedTimer);
+        return;
+      }
+      const seconds = Math.max(0, Math.floor((Date.now() - since) / 1000));
+      el.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    update();
+    btn.elapsedTimer = setInterval(update, 1000);
+  }
+
+  // ============================================================================
+  // WORKSPACE STATUS BADGES
+  // ============================================================================
+
+  const BADGE_CLASS = 'devcontainer-launcher-badge';
+
+  // Badges already fetched on this page, keyed by target key, so re-renders don't ask again
+  const badgeResults = new Map();
+
+  // Links whose badge is being fetched, so DOM changes meanwhile don't collect them twice
+  const badgeLinksInFlight = new WeakSet();
+
+  // Set when a badge lookup failed; no more lookups until the next navigation, so an unreachable
+  // Coder isn't asked again on every DOM change
+  let badgeLookupFailed = false;
+
+  /**
+   * Lists that get a status dot per entry. Each strategy picks the links of its list and
+   * turns a link's path segments into a target: { owner, repo } plus a branch or pull request
+   */
+  const badgeContributions = [
+    // Branch names on /branches (overview, yours, active, stale, all)
+    {
+      id: 'gh-branches',
+      match: () => /^\/[^/]+\/[^/]+\/branches(\/|$)/.test(location.pathname),
+      selector: 'a[href*="/tree/"]',
+      target: (link, [owner, repo, kind, ...rest]) => {
+        const branch = rest.join('/');
+        // Only the name links, not avatars or other links into the tree
+        return kind === 'tree' && branch && link.textContent.trim() === branch ? { owner, repo, branch } : null;
+      },
+    },
+
+    // Titles on a repo's pull request list and the global /pulls dashboard
+    {
+      id: 'gh-pulls',
+      match: () => /^(\/[^/]+\/[^/]+)?\/pulls(\/|$)/.test(location.pathname),
+      selector: 'a[data-hovercard-type="pull_request"], a.js-navigation-open[href*="/pull/"], a[data-testid="issue-pr-title-link"]',
+      target: (link, [owner, repo, kind, number, ...rest]) =>
+        kind === 'pull' && /^\d+$/.test(number) && rest.length === 0 ? { owner, repo, pullRequest: { number } } : null,
+    },
+
+    // Repo names on org and user repository lists (and their overview pages)
+    {
+      id: 'gh-repos',
+      match: () => /^\/(orgs\/[^/]+\/repositories|[^/]+)\/?$/.test(location.pathname) &&
+        !NON_REPO_PAGES.includes(location.pathname.split('/')[1]),
+      selector: 'a[itemprop~="codeRepository"], a[data-hovercard-type="repository"]',
+      target: (link, [owner, repo, ...rest]) =>
+        owner && repo && rest.length === 0 && !NON_REPO_PAGES.includes(owner) ? { owner, repo } : null,
+    },
+  ];
+
+  /**
+   * Key a badge result is stored under, one per branch, pull request or repo
+   */
+  function getBadgeKey(target) {
+    const { owner, repo, branch, pullRequest } = target;
+
+    if (pullRequest) {
+      return `${owner}/${repo}#pull/${pullRequest.number}`;
+    }
+    return branch ? `${owner}/${repo}#${branch}` : `${owner}/${repo}`;
+  }
+
+  /**
+   * Links on the page that should get a badge and don't have one yet, each with its target
+   * Links are marked once their badge is inserted; until then they are only held as in flight
+   */
+  function collectBadgeLinks() {
+    const pending = [];
+
+    for (const contribution of badgeContributions) {
+      if (!matchesPage(contribution)) continue;
+
+      for (const link of document.querySelectorAll(contribution.selector)) {
+        if (link.dataset.devcontainerBadge || badgeLinksInFlight.has(link) || link.origin !== location.origin) continue;
+
+        let segments;
+        try {
+          segments = link.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (e) {
+          // Malformed escape in the link - not one of ours
+          continue;
+        }
+
+        const target = contribution.target(link, segments);
+        if (!target) continue;
+
+        target.key = getBadgeKey(target);
+        badgeLinksInFlight.add(link);
+        pending.push({ link, target });
+      }
+    }
+
+    return pending;
+  }
+
+  async function getWorkspaceBadges(targets) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: 'GET_WORKSPACE_BADGES', targets },
+        (response) => {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      );
+    });
+  }
+
+  /**
+   * Add status dots to the branch, pull request and repo lists on the page
+   * Targets not seen on this page yet are fetched in a single request
+   */
+  async function injectBadges() {
+    if (!hasCoderApi || badgeLookupFailed) {
+      return;
+    }
+
+    const pending = collectBadgeLinks();
+    const unknown = new Map();
+    for (const { target } of pending) {
+      if (!badgeResults.has(target.key)) {
+        unknown.set(target.key, target);
+      }
+    }
+
+    if (unknown.size > 0) {
+      const response = await getWorkspaceBadges([...unknown.values()]);
+      if (!response.success) {
+        // Not signed in or Coder unreachable: the button reports it, the lists stay as they are
+        // until the next navigation collects the links again
+        pending.forEach(({ link }) => badgeLinksInFlight.delete(link));
+        badgeLookupFailed = true;
+        return;
+      }
+
+      for (const [key, badge] of Object.entries(response.badges)) {
+        badgeResults.set(key, badge);
+      }
+    }
+
+    for (const { link, target } of pending) {
+      const badge = document.createElement('span');
+      badge.className = BADGE_CLASS;
+      badge.setAttribute('role', 'img');
+      renderBadge(badge, badgeResults.get(target.key));
+      link.after(badge);
+      link.dataset.devcontainerBadge = target.key;
+      badgeLinksInFlight.delete(link);
+    }
+  }
+
+  function renderBadge(badge, result) {
+    const state = result?.state || 'none';
+    const others = result?.count > 1 ? ` (+${result.count - 1} more)` : '';
+    const label = state === 'none' ?
+      'No workspace' :
+      `Workspace ${result.workspaceName}: ${result.workspaceState}${others}`;
+
+    badge.className = `${BADGE_CLASS} ${BADGE_CLASS}--${state}`;
+    badge.dataset.workspaceId = result?.workspaceId || '';
+    badge.title = label;
+    badge.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Apply a live build update to the badges of that workspace, with the state the background worker gave it
+   */
+  function updateBadges(workspace, badgeState) {
+    if (!badgeState) {
+      return;
+    }
+
+    for (const [key, result] of badgeResults) {
+      if (result.workspaceId !== workspace.workspaceId) continue;
+
+      const updated = badgeState === 'none' ?
+        { state: 'none', count: 0 } :
+        { ...result, state: badgeState, workspaceState: workspace.workspaceState };
+
+      badgeResults.set(key, updated);
+      document.querySelectorAll(`.${BADGE_CLASS}[data-workspace-id="${CSS.escape(workspace.workspaceId)}"]`).forEach((badge) => {
+        renderBadge(badge, updated);
+      });
+    }
+  }
+
   // ============================================================================
   // INJECTION LOGIC
   // ============================================================================
@@ -768,7 +2387,9 @@
       return;
     }
 
-    if (!settings.launcherUrl && !hasCoderApi) {
+    activeProfile = findLaunchProfile(settings.launchProfiles, repoInfo.owner, repoInfo.repo);
+
+    if (!activeProfile?.launcherUrl && !settings.launcherUrl && !hasCoderApi) {
       return;
     }
 
@@ -804,6 +2425,7 @@
     // Create and add button to container
     const button = createLauncherButton(repoInfo, contribution.variant || 'default');
     container.appendChild(button);
+    container.appendChild(button.menuToggle);
 
     // Insert based on position strategy
     const { position, insertBefore } = contribution;
@@ -829,6 +2451,8 @@
   }
 
   function removeButton() {
+    closeMenu();
+    closePanel();
     const existing = document.getElementById(BUTTON_ID);
     if (existing) {
       existing.remove();
@@ -850,11 +2474,15 @@
         if (currentUrl !== lastUrl) {
           lastUrl = currentUrl;
           removeButton();
+          // Fresh status for the lists of the new page
+          badgeResults.clear();
+          badgeLookupFailed = false;
         }
 
         if (!document.getElementById(BUTTON_ID)) {
           injectButton();
         }
+        injectBadges();
       }, 150);
     });
 
@@ -864,8 +2492,105 @@
     });
   }
 
+  /**
+   * Run a keyboard command through the same handlers as the button
+   * launch-workspace acts like a click; toggle-workspace starts a stopped workspace or stops a running one.
+   * Returns false when the button is absent or still loading.
+   */
+  function runCommand(command) {
+    const btn = document.getElementById(BUTTON_ID);
+    if (!btn || !btn.launchContext || btn.classList.contains('devcontainer-launcher-btn--loading')) {
+      return false;
+    }
+
+    if (command === 'launch-workspace') {
+      btn.click();
+      return true;
+    }
+
+    const result = btn.workspaceResult;
+    if (command !== 'toggle-workspace' || result?.status !== 'found') {
+      return false;
+    }
+
+    const { repoInfo, variant } = btn.launchContext;
+    const state = result.workspaceState;
+
+    if (state === 'running') {
+      runWorkspaceAction(btn, repoInfo, variant, result, 'stopping', stopWorkspace);
+      return true;
+    }
+    if (state === 'stopped') {
+      // The button's click starts it and opens it once ready
+      btn.click();
+      return true;
+    }
+
+    return false;
+  }
+
+  // Live build updates pushed by the background worker
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action !== 'WORKSPACE_UPDATE') return;
+
+    updateBadges(message.workspace, message.badgeState);
+
+    const btn = document.getElementById(BUTTON_ID);
+    if (!btn || !btn.launchContext || btn.dataset.workspaceId !== message.workspace.workspaceId) {
+      return;
+    }
+
+    const { repoInfo, variant } = btn.launchContext;
+
+    // Deleted - re-check so the button offers creation with the right template
+    if (message.workspace.status === 'missing') {
+      checkWorkspaceStatus(repoInfo.owner, repoInfo.repo, getCurrentBranch()).then((result) => {
+        applyWorkspaceResult(btn, repoInfo, variant, result);
+      });
+      return;
+    }
+
+    // Keep the chooser: updates only carry the workspace itself
+    const previous = btn.workspaceResult;
+    const workspace = previous?.matches ? {
+      ...message.workspace,
+      matches: previous.matches.map(match =>
+        match.workspaceId === message.workspace.workspaceId ? message.workspace : match
+      )
+    } : message.workspace;
+
+    applyWorkspaceResult(btn, repoInfo, variant, workspace);
+  });
+
+  // Keyboard commands (chrome://extensions/shortcuts) forwarded by the background worker
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action !== 'RUN_COMMAND') return;
+    sendResponse({ handled: runCommand(message.command) });
+  });
+
+  // Page shortcut, like GitHub's own single-key shortcuts
+  document.addEventListener('keydown', (e) => {
+    const shortcut = settings.pageShortcut ?? DEFAULT_PAGE_SHORTCUT;
+    if (!shortcut || e.key !== shortcut || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) {
+      return;
+    }
+
+    // Typing in a field, or a GitHub dialog is handling keys
+    const target = e.target;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.closest?.('[role="dialog"]')) {
+      return;
+    }
+
+    if (runCommand('launch-workspace')) {
+      e.preventDefault();
+    }
+  });
+
   // Initial injection
-  setTimeout(() => injectButton(), 100);
+  setTimeout(() => {
+    injectButton();
+    injectBadges();
+  }, 100);
 
   // Watch for SPA navigation
   watchForChanges();
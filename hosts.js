@@ -0,0 +1,95 @@
+// GitHub hosts (GHE instances, github.com), shared by the background worker (importScripts) and the content script
+// A host: { url, sshHost, sshPort, coderUrl, coderApiToken }
+
+// First path segments of GitHub pages that are not repositories
+const NON_REPO_PAGES = ['settings', 'organizations', 'orgs', 'users', 'search', 'notifications', 'login', 'logout', 'explore', 'marketplace', 'sponsors', 'pulls', 'issues'];
+
+// Key that launches from a GitHub page; GitHub leaves "," free ("." opens github.dev)
+const DEFAULT_PAGE_SHORTCUT = ',';
+
+/**
+ * Configured GitHub hosts, including the single GHE URL saved by older versions
+ */
+function getGitHubHosts(settings) {
+  if (settings.githubHosts && settings.githubHosts.length > 0) {
+    return settings.githubHosts;
+  }
+
+  return settings.gheUrl ? [{ url: settings.gheUrl }] : [];
+}
+
+/**
+ * The host whose URL has the given origin, or null
+ */
+function findGitHubHost(hosts, origin) {
+  return hosts.find(host => {
+    try {
+      return new URL(host.url).origin === origin;
+    } catch (e) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * SSH clone URL for a repo on a host
+ * Uses the host's SSH host/port mapping when set (e.g. a separate ssh.* name or port 2222)
+ */
+function buildSshCloneUrl(host, owner, repo) {
+  const sshHost = host.sshHost || new URL(host.url).hostname;
+
+  if (host.sshPort && String(host.sshPort) !== '22') {
+    return `ssh://git@${sshHost}:${host.sshPort}/${owner}/${repo}.git`;
+  }
+
+  return `git@${sshHost}:${owner}/${repo}.git`;
+}
+
+/**
+ * REST API root of a host: api.github.com for github.com, /api/v3 on GitHub Enterprise Server
+ */
+function getGitHubApiUrl(host) {
+  const url = new URL(host.url);
+  return url.hostname === 'github.com' ? 'https://api.github.com' : `${url.origin}/api/v3`;
+}
+
+/**
+ * Match pattern covering every page of a URL's origin, or null for an invalid URL
+ * Used for both optional host permissions and content script registration
+ */
+function getOriginPattern(url) {
+  try {
+    return `${new URL(url).origin}/*`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Origin patterns of the configured GitHub hosts (where the content script runs)
+ */
+function getGitHubOriginPatterns(hosts) {
+  return [...new Set(hosts.map(host => getOriginPattern(host.url)).filter(Boolean))];
+}
+
+/**
+ * Coder deployments in use: the global one, then each host's own, once per URL
+ * A deployment: { coderUrl, coderOAuthClientId }
+ */
+function getCoderDeployments(settings, hosts) {
+  const deployments = [];
+  for (const source of [settings, ...hosts]) {
+    if (source.coderUrl && !deployments.some(deployment => deployment.coderUrl === source.coderUrl)) {
+      deployments.push({ coderUrl: source.coderUrl, coderOAuthClientId: source.coderOAuthClientId });
+    }
+  }
+  return deployments;
+}
+
+/**
+ * Origin patterns of every Coder deployment the background worker talks to
+ */
+function getCoderOriginPatterns(settings, hosts) {
+  const urls = [settings.coderUrl, ...hosts.map(host => host.coderUrl)].filter(Boolean);
+  return [...new Set(urls.map(getOriginPattern).filter(Boolean))];
+}
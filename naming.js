@@ -0,0 +1,138 @@
+// Workspace naming and launch placeholders, shared by the background worker (importScripts) and the content script
+// Coder workspace names: lowercase, alphanumeric + hyphens, max 32 chars
+
+const DEFAULT_WORKSPACE_NAME_PATTERN = '{repo}-{branch}';
+const DEFAULT_PR_WORKSPACE_NAME_PATTERN = '{repo}-pr-{pr_number}';
+const DEFAULT_PINNED_WORKSPACE_NAME_PATTERN = '{repo}-at-{short_sha}';
+const SHORT_SHA_LENGTH = 7;
+const WORKSPACE_NAME_MAX_LENGTH = 32;
+const WORKSPACE_NAME_HASH_LENGTH = 6;
+
+/**
+ * Sanitize a string into a valid Coder workspace name (without length limit)
+ */
+function sanitizeWorkspaceName(value) {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, '-')  // Replace invalid chars with hyphens
+    .replace(/-+/g, '-')          // Collapse multiple hyphens
+    .replace(/^-|-$/g, '');       // Trim leading/trailing hyphens
+}
+
+/**
+ * Short, stable hash of a string (FNV-1a, base36)
+ */
+function hashWorkspaceName(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36).padStart(WORKSPACE_NAME_HASH_LENGTH, '0').slice(-WORKSPACE_NAME_HASH_LENGTH);
+}
+
+/**
+ * Derive a workspace name from a pattern such as "{owner}-{repo}-{branch}"
+ * Names longer than the limit are cut and get a hash of the full name appended,
+ * so long branches on the same repo don't collide. forceHash appends it regardless.
+ */
+function deriveWorkspaceName(pattern, values, forceHash = false) {
+  const filled = (pattern || DEFAULT_WORKSPACE_NAME_PATTERN).replace(/\{(\w+)\}/g, (token, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : ''
+  );
+  const full = sanitizeWorkspaceName(filled) || 'workspace';
+
+  if (full.length <= WORKSPACE_NAME_MAX_LENGTH && !forceHash) {
+    return full;
+  }
+
+  const prefix = full
+    .slice(0, WORKSPACE_NAME_MAX_LENGTH - WORKSPACE_NAME_HASH_LENGTH - 1)
+    .replace(/-+$/, '');
+
+  return `${prefix}-${hashWorkspaceName(full)}`;
+}
+
+/**
+ * Whether a launch is pinned to a commit rather than following a branch
+ * ref describes what the launched "branch" is: { type: 'branch' | 'tag' | 'commit', sha }
+ */
+function isPinnedLaunch(ref) {
+  return ref?.type === 'commit' && !!ref.sha;
+}
+
+/**
+ * Values naming patterns and placeholders can use
+ * Pull request launches add pr_number, base_branch, head_owner and head_repo (empty elsewhere);
+ * sha and short_sha are empty when the commit is not known
+ */
+function getWorkspaceNameValues(owner, repo, branch, pullRequest, ref) {
+  return {
+    owner,
+    repo,
+    branch,
+    ref_type: ref?.type || 'branch',
+    sha: ref?.sha || '',
+    short_sha: ref?.sha ? ref.sha.slice(0, SHORT_SHA_LENGTH) : '',
+    pr_number: pullRequest?.number || '',
+    base_branch: pullRequest?.baseBranch || '',
+    head_owner: pullRequest?.headOwner || '',
+    head_repo: pullRequest?.headRepo || ''
+  };
+}
+
+/**
+ * Values launcher URL and workspace parameter placeholders can use: the naming values plus
+ * the clone URL, the viewed file ({ path, line }, when any) and the devcontainer config
+ * name is the workspace name when known (it may be a stored mapping), otherwise derived from the naming pattern
+ * On pull requests owner and repo are the head repo's, like ssh_url, since workspaces are matched by
+ * the source their parameters point at; the name still comes from the repo the PR belongs to
+ */
+function getLaunchPlaceholderValues(settings, owner, repo, branch, pullRequest, ref, launch) {
+  const values = getWorkspaceNameValues(owner, repo, branch, pullRequest, ref);
+
+  return {
+    ...values,
+    owner: pullRequest?.headOwner || owner,
+    repo: pullRequest?.headRepo || repo,
+    ssh_url: launch.sshUrl,
+    path: launch.file?.path || '',
+    line: launch.file?.line || '',
+    devcontainer_path: launch.devcontainerPath || '',
+    name: launch.workspaceName || deriveWorkspaceName(getWorkspaceNamePattern(settings, pullRequest, ref), values)
+  };
+}
+
+/**
+ * Expand {placeholder} tokens using the given values; unknown tokens are left as-is
+ */
+function fillPlaceholders(template, values) {
+  return template.replace(/\{(\w+)\}/g, (token, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : token
+  );
+}
+
+/**
+ * Launcher URL with its placeholders filled in, each value URL-encoded
+ */
+function expandLauncherUrl(launcherUrl, values) {
+  const encoded = {};
+  for (const [key, value] of Object.entries(values)) {
+    encoded[key] = value !== undefined && value !== null ? encodeURIComponent(value) : value;
+  }
+  return fillPlaceholders(launcherUrl, encoded);
+}
+
+/**
+ * Naming pattern for a launch: commit-pinned launches and pull requests get their own,
+ * so they don't take the name of the branch's workspace
+ */
+function getWorkspaceNamePattern(settings, pullRequest, ref) {
+  if (isPinnedLaunch(ref)) {
+    return settings.pinnedWorkspaceNamePattern || DEFAULT_PINNED_WORKSPACE_NAME_PATTERN;
+  }
+
+  return pullRequest ?
+    settings.prWorkspaceNamePattern || DEFAULT_PR_WORKSPACE_NAME_PATTERN :
+    settings.workspaceNamePattern;
+}
@@ -1,26 +1,48 @@
 // Options page script for Devcontainer Launcher
 
 const form = document.getElementById('options-form');
-const gheUrlInput = document.getElementById('gheUrl');
+const hostList = document.getElementById('hostList');
+const addHostBtn = document.getElementById('addHostBtn');
 const coderUrlInput = document.getElementById('coderUrl');
 const coderApiTokenInput = document.getElementById('coderApiToken');
+const coderOAuthClientIdInput = document.getElementById('coderOAuthClientId');
+const signInBtn = document.getElementById('signInBtn');
+const signOutBtn = document.getElementById('signOutBtn');
+const redirectUrlEl = document.getElementById('redirectUrl');
 const launcherUrlInput = document.getElementById('launcherUrl');
+const coderTemplateInput = document.getElementById('coderTemplate');
+const coderParametersInput = document.getElementById('coderParameters');
+const workspaceNamePatternInput = document.getElementById('workspaceNamePattern');
+const prWorkspaceNamePatternInput = document.getElementById('prWorkspaceNamePattern');
+const pinnedWorkspaceNamePatternInput = document.getElementById('pinnedWorkspaceNamePattern');
+const workspaceFolderInput = document.getElementById('workspaceFolder');
+const openWithInput = document.getElementById('openWith');
+const pageShortcutInput = document.getElementById('pageShortcut');
+const templateList = document.getElementById('templateList');
+const profileList = document.getElementById('profileList');
+const addProfileBtn = document.getElementById('addProfileBtn');
 const verifyBtn = document.getElementById('verifyBtn');
 const getTokenLink = document.getElementById('getTokenLink');
 const statusEl = document.getElementById('status');
 const connectionStatus = document.getElementById('connectionStatus');
 const connectionStatusText = document.getElementById('connectionStatusText');
+const accessNotice = document.getElementById('accessNotice');
+const accessNoticeText = document.getElementById('accessNoticeText');
+const grantAccessBtn = document.getElementById('grantAccessBtn');
 
 // Load saved settings on page load
 document.addEventListener('DOMContentLoaded', async () => {
   try {
     const result = await chrome.storage.sync.get([
-      'gheUrl', 'launcherUrl', 'coderUrl', 'coderApiToken'
+      'gheUrl', 'githubHosts', 'launcherUrl', 'coderUrl', 'coderOAuthClientId',
+      'coderTemplate', 'coderParameters', 'launchProfiles',
+      'workspaceNamePattern', 'prWorkspaceNamePattern', 'pinnedWorkspaceNamePattern', 'workspaceFolder', 'openWith',
+      'pageShortcut'
     ]);
     
-    if (result.gheUrl) {
-      gheUrlInput.value = result.gheUrl;
-    }
+    const githubHosts = result.githubHosts?.length ? result.githubHosts :
+      [{ url: result.gheUrl || '' }];
+    renderRows(hostList, HOST_FIELDS, githubHosts, 'Host');
     if (result.launcherUrl) {
       launcherUrlInput.value = result.launcherUrl;
     }
@@ -28,16 +50,130 @@ document.addEventListener('DOMContentLoaded', async () => {
       coderUrlInput.value = result.coderUrl;
       updateGetTokenLink(result.coderUrl);
     }
-    if (result.coderApiToken) {
-      // Show placeholder for existing token
-      coderApiTokenInput.placeholder = '••••••••••••••••';
-      coderApiTokenInput.dataset.hasExisting = 'true';
+    if (result.coderTemplate) {
+      coderTemplateInput.value = result.coderTemplate;
+    }
+    if (result.coderParameters) {
+      coderParametersInput.value = result.coderParameters;
+    }
+    renderRows(profileList, PROFILE_FIELDS, result.launchProfiles || [], 'Profile');
+    if (result.workspaceNamePattern) {
+      workspaceNamePatternInput.value = result.workspaceNamePattern;
+    }
+    if (result.prWorkspaceNamePattern) {
+      prWorkspaceNamePatternInput.value = result.prWorkspaceNamePattern;
+    }
+    if (result.pinnedWorkspaceNamePattern) {
+      pinnedWorkspaceNamePatternInput.value = result.pinnedWorkspaceNamePattern;
+    }
+    if (result.workspaceFolder) {
+      workspaceFolderInput.value = result.workspaceFolder;
+    }
+    if (result.openWith) {
+      openWithInput.value = result.openWith;
     }
+    // Saved empty when turned off; unset means the default
+    pageShortcutInput.value = result.pageShortcut ?? DEFAULT_PAGE_SHORTCUT;
+    if (result.coderOAuthClientId) {
+      coderOAuthClientIdInput.value = result.coderOAuthClientId;
+    }
+    redirectUrlEl.textContent = chrome.identity.getRedirectURL();
+
+    const session = result.coderUrl ? await getCoderSession(result.coderUrl) : null;
+    updateSessionState(!!session);
+    if (session) {
+      loadTemplateSuggestions();
+    }
+    updateAccessNotice();
   } catch (error) {
     console.error('Failed to load settings:', error);
   }
 });
 
+// ============================================================================
+// HOST PERMISSIONS
+// ============================================================================
+
+// Access can be revoked from chrome://extensions at any time
+chrome.permissions.onAdded.addListener(() => {
+  updateAccessNotice();
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+  updateAccessNotice();
+});
+
+grantAccessBtn.addEventListener('click', async () => {
+  // Chrome only shows the prompt while handling the click, so request before anything else
+  await chrome.permissions.request({ origins: getFormOrigins() });
+  updateAccessNotice();
+});
+
+/**
+ * Origin patterns needed by the hosts and Coder URLs currently in the form
+ */
+function getFormOrigins() {
+  const githubHosts = collectRows(hostList, 'url');
+  return [
+    ...getGitHubOriginPatterns(githubHosts),
+    ...getCoderOriginPatterns({ coderUrl: normalizeUrl(coderUrlInput.value) }, githubHosts)
+  ];
+}
+
+async function getMissingOrigins(origins) {
+  const missing = [];
+  for (const origin of origins) {
+    if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+      missing.push(origin);
+    }
+  }
+  return missing;
+}
+
+async function updateAccessNotice() {
+  const missing = await getMissingOrigins(getFormOrigins());
+
+  if (missing.length === 0) {
+    accessNotice.className = 'access-notice';
+    return;
+  }
+
+  accessNoticeText.textContent = `No access to ${missing.map(origin => origin.replace(/\/\*$/, '')).join(', ')}. ` +
+    'The button and Coder status stay off there until access is granted.';
+  accessNotice.className = 'access-notice show';
+}
+
+/**
+ * Give back access to origins no longer used by any setting
+ */
+async function removeUnusedOrigins(origins) {
+  const { origins: granted = [] } = await chrome.permissions.getAll();
+  const unused = granted.filter(origin => !origins.includes(origin));
+  if (unused.length > 0) {
+    await chrome.permissions.remove({ origins: unused });
+  }
+}
+
+// Suggest template names from the saved Coder deployment
+async function loadTemplateSuggestions() {
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'GET_TEMPLATES' });
+    if (!result.success) {
+      return;
+    }
+
+    templateList.innerHTML = '';
+    for (const template of result.templates) {
+      const option = document.createElement('option');
+      option.value = template.name;
+      option.label = template.displayName;
+      templateList.appendChild(option);
+    }
+  } catch (error) {
+    console.error('Failed to load templates:', error);
+  }
+}
+
 // Update "Get Token" link when Coder URL changes
 coderUrlInput.addEventListener('input', () => {
   updateGetTokenLink(coderUrlInput.value);
@@ -57,6 +193,190 @@ function updateGetTokenLink(coderUrl) {
   }
 }
 
+// ============================================================================
+// EDITABLE LISTS (GitHub hosts, launch profiles)
+// ============================================================================
+
+// Fields of a GitHub host row
+const HOST_FIELDS = [
+  { key: 'url', label: 'GitHub URL', description: 'Root URL of a GitHub Enterprise instance or https://github.com', placeholder: 'https://github.internal.com', type: 'url', wide: true },
+  { key: 'sshHost', label: 'SSH Host', description: 'Host in clone URLs, if different from the web host', placeholder: 'ssh.github.internal.com' },
+  { key: 'sshPort', label: 'SSH Port', description: 'Leave empty for 22', placeholder: '2222' },
+  { key: 'coderUrl', label: 'Coder URL', description: 'Coder deployment for this host; empty uses the one below', placeholder: 'https://coder.internal.com', type: 'url' },
+  { key: 'coderOAuthClientId', label: 'Coder OAuth2 Client ID', description: 'Sign in from the button on this host; empty pastes a token instead', placeholder: '00000000-0000-0000-0000-000000000000' },
+  { key: 'coderApiToken', label: 'Coder API Token', description: 'Paste to replace the token stored on this device', placeholder: '••••••••••••••••', type: 'password', wide: true },
+  { key: 'githubApiToken', label: 'GitHub API Token', description: 'Optional read-only token for exact branch detection; paste to replace the stored one', placeholder: '••••••••••••••••', type: 'password', wide: true },
+];
+
+// Fields of a launch profile row
+const PROFILE_FIELDS = [
+  { key: 'pattern', label: 'Match', description: 'owner, owner/repo glob or /regex/', placeholder: 'acme/*-service' },
+  { key: 'coderTemplate', label: 'Coder Template', description: 'Overrides the global template', placeholder: 'jvm', list: 'templateList' },
+  { key: 'launcherUrl', label: 'Launcher Template URL', description: 'Overrides the fallback launcher URL', placeholder: 'https://launcher.company.com/start?repo={ssh_url}&ref={branch}', wide: true },
+  { key: 'defaultBranch', label: 'Default Branch', description: 'Used when the branch cannot be detected', placeholder: 'develop' },
+  { key: 'workspaceFolder', label: 'Workspace Folder', description: 'Overrides where the repo is checked out', placeholder: '/workspaces/{repo}' },
+  { key: 'openWith', label: 'Open With', description: 'Overrides what the button opens', placeholder: 'jetbrains', list: 'openWithList' },
+  { key: 'parameters', label: 'Extra Parameters', description: 'name=value lines, added to (or overriding) the workspace parameters', placeholder: 'java_version=21', type: 'textarea', wide: true },
+];
+
+addHostBtn.addEventListener('click', () => {
+  hostList.appendChild(createListRow(hostList, HOST_FIELDS, {}, 'Host'));
+  renumberRows(hostList, 'Host');
+});
+
+addProfileBtn.addEventListener('click', () => {
+  profileList.appendChild(createListRow(profileList, PROFILE_FIELDS, {}, 'Profile'));
+  renumberRows(profileList, 'Profile');
+});
+
+function renderRows(list, fields, items, title) {
+  list.innerHTML = '';
+  for (const item of items) {
+    list.appendChild(createListRow(list, fields, item, title));
+  }
+  renumberRows(list, title);
+}
+
+function createListRow(list, fields, item, title) {
+  const row = document.createElement('div');
+  row.className = 'list-row';
+
+  const header = document.createElement('div');
+  header.className = 'list-row-header';
+  header.innerHTML = `
+    <span class="list-row-title"></span>
+    <span class="list-row-controls">
+      <button type="button" class="btn btn-secondary btn-sm" data-move="-1" title="Move up">↑</button>
+      <button type="button" class="btn btn-secondary btn-sm" data-move="1" title="Move down">↓</button>
+      <button type="button" class="btn btn-secondary btn-sm" data-remove title="Remove">Remove</button>
+    </span>
+  `;
+  row.appendChild(header);
+
+  for (const field of fields) {
+    const group = document.createElement('div');
+    group.className = field.wide ? 'form-group wide' : 'form-group';
+
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    const descriptionEl = document.createElement('span');
+    descriptionEl.className = 'label-description';
+    descriptionEl.textContent = field.description;
+    label.appendChild(descriptionEl);
+
+    const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+    if (field.type !== 'textarea') {
+      input.type = field.type || 'text';
+    }
+    if (field.list) {
+      input.setAttribute('list', field.list);
+    }
+    input.dataset.field = field.key;
+    input.placeholder = field.placeholder;
+    input.value = item[field.key] || '';
+
+    group.appendChild(label);
+    group.appendChild(input);
+    row.appendChild(group);
+  }
+
+  header.querySelector('[data-remove]').addEventListener('click', () => {
+    row.remove();
+    renumberRows(list, title);
+  });
+
+  for (const moveBtn of header.querySelectorAll('[data-move]')) {
+    moveBtn.addEventListener('click', () => {
+      if (moveBtn.dataset.move === '-1' && row.previousElementSibling) {
+        list.insertBefore(row, row.previousElementSibling);
+      } else if (moveBtn.dataset.move === '1' && row.nextElementSibling) {
+        list.insertBefore(row.nextElementSibling, row);
+      }
+      renumberRows(list, title);
+    });
+  }
+
+  return row;
+}
+
+function renumberRows(list, title) {
+  list.querySelectorAll('.list-row-title').forEach((titleEl, index) => {
+    titleEl.textContent = `${title} ${index + 1}`;
+  });
+}
+
+/**
+ * Read the rows of a list in order, dropping rows whose required field is empty
+ */
+function collectRows(list, requiredField) {
+  return [...list.querySelectorAll('.list-row')]
+    .map(row => {
+      const item = {};
+      for (const input of row.querySelectorAll('[data-field]')) {
+        item[input.dataset.field] = input.type === 'url' ? normalizeUrl(input.value) : input.value.trim();
+      }
+      return item;
+    })
+    .filter(item => item[requiredField]);
+}
+
+// Sign in through Coder's OAuth2 provider
+signInBtn.addEventListener('click', async () => {
+  const coderUrl = normalizeUrl(coderUrlInput.value);
+  const clientId = coderOAuthClientIdInput.value.trim();
+  const originPattern = getOriginPattern(coderUrl);
+
+  if (!originPattern || !clientId) {
+    showConnectionStatus('Please enter the Coder URL and OAuth2 client ID first', 'warning');
+    return;
+  }
+
+  // Must be the first await: Chrome only prompts during the click
+  if (!(await chrome.permissions.request({ origins: [originPattern] }))) {
+    showConnectionStatus('Access to the Coder URL was not granted', 'warning');
+    return;
+  }
+
+  signInBtn.disabled = true;
+  signInBtn.innerHTML = '<span class="spinner"></span> Signing in...';
+
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'SIGN_IN', coderUrl, clientId });
+
+    if (result.success) {
+      updateSessionState(true);
+      showConnectionStatus(
+        `Signed in as ${result.username}${result.email ? ` (${result.email})` : ''}`,
+        'success'
+      );
+      loadTemplateSuggestions();
+    } else {
+      showConnectionStatus(result.error || 'Sign-in failed', 'error');
+    }
+  } catch (error) {
+    showConnectionStatus(`Error: ${error.message}`, 'error');
+  } finally {
+    signInBtn.disabled = false;
+    signInBtn.innerHTML = 'Sign in to Coder';
+  }
+});
+
+signOutBtn.addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ action: 'SIGN_OUT', coderUrl: normalizeUrl(coderUrlInput.value) });
+  updateSessionState(false);
+  showConnectionStatus('Signed out', 'warning');
+});
+
+function updateSessionState(hasSession) {
+  coderApiTokenInput.placeholder = hasSession ? '••••••••••••••••' : '';
+  if (hasSession) {
+    coderApiTokenInput.dataset.hasExisting = 'true';
+  } else {
+    delete coderApiTokenInput.dataset.hasExisting;
+  }
+  signOutBtn.hidden = !hasSession;
+}
+
 // Verify connection
 verifyBtn.addEventListener('click', async () => {
   const coderUrl = normalizeUrl(coderUrlInput.value);
@@ -66,16 +386,22 @@ verifyBtn.addEventListener('click', async () => {
     showConnectionStatus('Please enter Coder URL first', 'warning');
     return;
   }
-  
-  // Use existing token if no new one entered
-  let tokenToUse = apiToken;
-  if (!tokenToUse && coderApiTokenInput.dataset.hasExisting) {
-    const stored = await chrome.storage.sync.get(['coderApiToken']);
-    tokenToUse = stored.coderApiToken;
+
+  const originPattern = getOriginPattern(coderUrl);
+  if (!originPattern) {
+    showConnectionStatus('Please enter a valid Coder URL', 'warning');
+    return;
+  }
+
+  // Must be the first await: Chrome only prompts during the click
+  if (!(await chrome.permissions.request({ origins: [originPattern] }))) {
+    showConnectionStatus('Access to the Coder URL was not granted', 'warning');
+    return;
   }
   
-  if (!tokenToUse) {
-    showConnectionStatus('Please enter API token first', 'warning');
+  // Without a new token the background worker uses the stored session
+  if (!apiToken && !coderApiTokenInput.dataset.hasExisting) {
+    showConnectionStatus('Please sign in or enter an API token first', 'warning');
     return;
   }
   
@@ -87,7 +413,7 @@ verifyBtn.addEventListener('click', async () => {
     const result = await chrome.runtime.sendMessage({
       action: 'VERIFY_CONNECTION',
       coderUrl: coderUrl,
-      apiToken: tokenToUse
+      apiToken: apiToken
     });
     
     if (result.success) {
@@ -133,39 +459,87 @@ function normalizeUrl(url) {
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
   
-  const gheUrl = normalizeUrl(gheUrlInput.value);
+  const githubHosts = collectRows(hostList, 'url');
   const coderUrl = normalizeUrl(coderUrlInput.value);
   const launcherUrl = launcherUrlInput.value.trim();
+  const coderTemplate = coderTemplateInput.value.trim();
+  const coderParameters = coderParametersInput.value.trim();
+  const launchProfiles = collectRows(profileList, 'pattern');
+  const workspaceNamePattern = workspaceNamePatternInput.value.trim();
+  const prWorkspaceNamePattern = prWorkspaceNamePatternInput.value.trim();
+  const pinnedWorkspaceNamePattern = pinnedWorkspaceNamePatternInput.value.trim();
+  const workspaceFolder = workspaceFolderInput.value.trim();
+  const openWith = openWithInput.value.trim();
+  const pageShortcut = pageShortcutInput.value.trim();
+  const coderOAuthClientId = coderOAuthClientIdInput.value.trim();
   
   // Only save new token if user entered one
   const newToken = coderApiTokenInput.value;
+
+  const origins = getFormOrigins();
   
   try {
+    // Must be the first await: Chrome only prompts during the submit
+    const accessGranted = origins.length === 0 || await chrome.permissions.request({ origins });
+
+    // Tokens pasted into host rows go to this device's session store, not to sync
+    for (const host of githubHosts) {
+      if (host.coderApiToken && host.coderUrl) {
+        await setCoderSession(host.coderUrl, { token: host.coderApiToken });
+      }
+      delete host.coderApiToken;
+      if (host.githubApiToken) {
+        await setGitHubToken(host.url, host.githubApiToken);
+      }
+      delete host.githubApiToken;
+    }
+
     const dataToSave = {
-      gheUrl: gheUrl,
+      githubHosts: githubHosts,
       coderUrl: coderUrl,
-      launcherUrl: launcherUrl
+      coderOAuthClientId: coderOAuthClientId,
+      launcherUrl: launcherUrl,
+      coderTemplate: coderTemplate,
+      coderParameters: coderParameters,
+      launchProfiles: launchProfiles,
+      workspaceNamePattern: workspaceNamePattern,
+      prWorkspaceNamePattern: prWorkspaceNamePattern,
+      pinnedWorkspaceNamePattern: pinnedWorkspaceNamePattern,
+      workspaceFolder: workspaceFolder,
+      openWith: openWith,
+      pageShortcut: pageShortcut
     };
     
     // Only update token if a new one was entered
     if (newToken) {
-      dataToSave.coderApiToken = newToken;
+      await setCoderSession(coderUrl, { token: newToken });
     }
     
     await chrome.storage.sync.set(dataToSave);
+    // Superseded by githubHosts
+    await chrome.storage.sync.remove('gheUrl');
+
+    if (accessGranted) {
+      await removeUnusedOrigins(origins);
+    }
     
     // Update inputs with normalized URLs
-    gheUrlInput.value = gheUrl;
     coderUrlInput.value = coderUrl;
+    renderRows(hostList, HOST_FIELDS, githubHosts, 'Host');
+    renderRows(profileList, PROFILE_FIELDS, launchProfiles, 'Profile');
     
     // Mark token as saved
     if (newToken) {
       coderApiTokenInput.value = '';
-      coderApiTokenInput.placeholder = '••••••••••••••••';
-      coderApiTokenInput.dataset.hasExisting = 'true';
+      updateSessionState(true);
     }
     
-    showStatus('Settings saved!', 'success');
+    if (coderUrl && (newToken || coderApiTokenInput.dataset.hasExisting)) {
+      loadTemplateSuggestions();
+    }
+
+    updateAccessNotice();
+    showStatus(accessGranted ? 'Settings saved!' : 'Settings saved, but host access was not granted', accessGranted ? 'success' : 'error');
   } catch (error) {
     console.error('Failed to save settings:', error);
     showStatus('Failed to save settings', 'error');
@@ -0,0 +1,270 @@
+// Toolbar popup script for Devcontainer Launcher
+// Lists every workspace of the authenticated Coder user on each configured deployment, grouped by repo and branch
+
+const contentEl = document.getElementById('content');
+const refreshBtn = document.getElementById('refreshBtn');
+const optionsBtn = document.getElementById('optionsBtn');
+
+// Last LIST_WORKSPACES result, updated in place by WORKSPACE_UPDATE messages
+let workspaces = [];
+
+// Deployments of that result that need a sign-in or failed to list: { signInRequired, errors }
+let deploymentIssues = { signInRequired: [], errors: [] };
+
+// "Open with" preference from the options page
+let openWith = OPEN_WITH_DEFAULT;
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadWorkspaces();
+});
+
+refreshBtn.addEventListener('click', () => {
+  loadWorkspaces();
+});
+
+optionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Live build updates from the background worker
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action !== 'WORKSPACE_UPDATE') return;
+
+  const index = workspaces.findIndex(ws => ws.workspaceId === message.workspace.workspaceId);
+  if (index === -1) return;
+
+  if (message.workspace.status === 'found') {
+    workspaces[index] = { ...message.workspace, source: workspaces[index].source, coderUrl: workspaces[index].coderUrl };
+  } else if (message.workspace.status === 'missing') {
+    workspaces.splice(index, 1);
+  }
+  render();
+});
+
+async function loadWorkspaces() {
+  showMessage('<span class="spinner"></span> Loading workspaces...');
+
+  try {
+    ({ openWith = OPEN_WITH_DEFAULT } = await chrome.storage.sync.get('openWith'));
+
+    const result = await chrome.runtime.sendMessage({ action: 'LIST_WORKSPACES' });
+
+    if (result.unconfigured) {
+      showMessage('Coder is not configured. <a href="#" id="openOptionsLink">Open options</a>');
+      document.getElementById('openOptionsLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.runtime.openOptionsPage();
+      });
+      return;
+    }
+
+    if (!result.success) {
+      showMessage(escapeHtml(result.error || 'Failed to load workspaces'), 'error');
+      return;
+    }
+
+    workspaces = result.workspaces;
+    deploymentIssues = { signInRequired: result.signInRequired, errors: result.errors };
+    render();
+  } catch (error) {
+    showMessage(escapeHtml(`Error: ${error.message}`), 'error');
+  }
+}
+
+function showMessage(html, type) {
+  contentEl.innerHTML = `<div class="message${type ? ` ${type}` : ''}">${html}</div>`;
+}
+
+/**
+ * Group workspaces by owner/repo, most recently used first
+ */
+function groupWorkspaces(list) {
+  const sorted = [...list].sort((a, b) =>
+    new Date(b.lastUsedAt || 0) - new Date(a.lastUsedAt || 0)
+  );
+
+  const groups = new Map();
+  for (const workspace of sorted) {
+    const key = workspace.source ?
+      [workspace.source.owner, workspace.source.repo].filter(Boolean).join('/') :
+      'Other workspaces';
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(workspace);
+  }
+
+  // Unattributed workspaces go last
+  const other = groups.get('Other workspaces');
+  if (other) {
+    groups.delete('Other workspaces');
+    groups.set('Other workspaces', other);
+  }
+
+  return groups;
+}
+
+function render() {
+  const { signInRequired, errors } = deploymentIssues;
+  if (workspaces.length === 0 && signInRequired.length === 0 && errors.length === 0) {
+    showMessage('No workspaces yet.');
+    return;
+  }
+
+  contentEl.innerHTML = '';
+
+  // Name the deployment only when there is more than one to tell apart
+  const deploymentCount = new Set([...workspaces.map(ws => ws.coderUrl), ...signInRequired, ...errors.map(e => e.coderUrl)]).size;
+  const describeDeployment = coderUrl => deploymentCount > 1 ? new URL(coderUrl).host : 'Coder';
+
+  for (const coderUrl of signInRequired) {
+    contentEl.appendChild(createSignInNotice(coderUrl, describeDeployment(coderUrl)));
+  }
+  for (const { coderUrl, error } of errors) {
+    const notice = document.createElement('div');
+    notice.className = 'message error';
+    notice.textContent = deploymentCount > 1 ? `${describeDeployment(coderUrl)}: ${error}` : error;
+    contentEl.appendChild(notice);
+  }
+
+  for (const [title, group] of groupWorkspaces(workspaces)) {
+    const titleEl = document.createElement('div');
+    titleEl.className = 'group-title';
+    titleEl.textContent = title;
+    contentEl.appendChild(titleEl);
+
+    for (const workspace of group) {
+      contentEl.appendChild(createWorkspaceRow(workspace, deploymentCount > 1));
+    }
+  }
+}
+
+/**
+ * "Signed out" notice for a deployment whose session is gone, with a link to sign in again
+ */
+function createSignInNotice(coderUrl, deploymentName) {
+  const notice = document.createElement('div');
+  notice.className = 'message';
+  notice.textContent = `Signed out of ${deploymentName}. `;
+
+  const link = document.createElement('a');
+  link.href = '#';
+  link.textContent = 'Sign in';
+  link.addEventListener('click', async (e) => {
+    e.preventDefault();
+    notice.innerHTML = '<span class="spinner"></span> Signing in...';
+    const signedIn = await chrome.runtime.sendMessage({ action: 'SIGN_IN', coderUrl });
+    if (signedIn.success) {
+      loadWorkspaces();
+    } else {
+      notice.className = 'message error';
+      notice.textContent = signedIn.error;
+    }
+  });
+  notice.appendChild(link);
+
+  return notice;
+}
+
+function createWorkspaceRow(workspace, showDeployment) {
+  const state = workspace.workspaceState;
+  const transitioning = state === 'starting' || state === 'stopping' || state === 'deleting' ||
+    (state === 'running' && !workspace.agentsReady);
+
+  const row = document.createElement('div');
+  row.className = 'workspace';
+
+  const dot = document.createElement('span');
+  dot.className = `state-dot ${transitioning ? 'transitioning' : state}`;
+  dot.title = transitioning && state === 'running' ? 'connecting' : state;
+  row.appendChild(dot);
+
+  const info = document.createElement('div');
+  info.className = 'workspace-info';
+
+  const name = document.createElement('div');
+  name.className = 'workspace-name';
+  name.textContent = workspace.source?.branch || workspace.workspaceName;
+  name.title = workspace.workspaceName;
+  info.appendChild(name);
+
+  const meta = document.createElement('div');
+  meta.className = 'workspace-meta';
+  meta.textContent = [
+    workspace.source?.branch ? workspace.workspaceName : null,
+    workspace.templateName,
+    showDeployment ? new URL(workspace.coderUrl).host : null,
+    workspace.lastUsedAt ? `used ${formatRelativeTime(workspace.lastUsedAt)}` : null
+  ].filter(Boolean).join(' · ');
+  info.appendChild(meta);
+
+  row.appendChild(info);
+
+  const actions = document.createElement('div');
+  actions.className = 'workspace-actions';
+
+  if (state === 'running') {
+    actions.appendChild(createActionButton('Stop', 'STOP_WORKSPACE', workspace, transitioning));
+  } else if (state === 'stopped' || state === 'failed' || state === 'canceled') {
+    actions.appendChild(createActionButton('Start', 'START_WORKSPACE', workspace));
+  }
+
+  // Running workspaces open in the preferred app when the template provides it
+  const app = state === 'running' ? findPreferredApp(workspace.apps, openWith) : null;
+
+  const openBtn = document.createElement('button');
+  openBtn.type = 'button';
+  openBtn.className = state === 'running' && !transitioning ? 'btn btn-primary' : 'btn';
+  openBtn.textContent = 'Open';
+  openBtn.title = app ? `Open in ${app.label}` : 'Open in Coder';
+  openBtn.addEventListener('click', () => {
+    const url = app ? app.url : workspace.workspaceUrl;
+    // Desktop apps take the link from the current tab instead of opening an empty one
+    if (isDesktopAppUrl(url)) {
+      chrome.tabs.update({ url });
+    } else {
+      chrome.tabs.create({ url });
+    }
+  });
+  actions.appendChild(openBtn);
+
+  row.appendChild(actions);
+
+  return row;
+}
+
+/**
+ * Start/stop button; the background worker follows the build and pushes updates back
+ */
+function createActionButton(label, action, workspace, disabled = false) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn';
+  btn.textContent = label;
+  btn.disabled = disabled;
+
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="spinner"></span>';
+
+    const { workspaceId, coderUrl } = workspace;
+    const result = await chrome.runtime.sendMessage({ action, workspaceId, coderUrl });
+
+    if (result.success) {
+      await chrome.runtime.sendMessage({ action: 'WATCH_WORKSPACE', workspaceId, coderUrl });
+    } else {
+      btn.textContent = label;
+      btn.disabled = false;
+      btn.title = result.error || 'Action failed';
+    }
+  });
+
+  return btn;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
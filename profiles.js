@@ -0,0 +1,92 @@
+// Per-repository launch profiles, shared by the background worker (importScripts) and the content script
+// A profile: { pattern, launcherUrl, coderTemplate, defaultBranch, workspaceFolder, openWith, parameters }
+
+/**
+ * Check if an owner/repo matches a profile pattern
+ * Patterns wrapped in slashes are regular expressions ("/^acme\/(api|web)$/");
+ * anything else is a glob on "owner/repo", and a bare "owner" matches every repo in that org
+ */
+function matchesRepoPattern(pattern, owner, repo) {
+  const fullName = `${owner}/${repo}`;
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]).test(fullName);
+    } catch (e) {
+      // Invalid regex never matches
+      return false;
+    }
+  }
+
+  const glob = pattern.includes('/') ? pattern : `${pattern}/*`;
+  const regex = new RegExp(
+    '^' + glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$',
+    'i'
+  );
+  return regex.test(fullName);
+}
+
+/**
+ * First profile (in options-page order) whose pattern matches owner/repo, or null
+ */
+function findLaunchProfile(profiles, owner, repo) {
+  return (profiles || []).find(profile =>
+    profile.pattern && matchesRepoPattern(profile.pattern, owner, repo)
+  ) || null;
+}
+
+/**
+ * Read the launch config a repo checks in (.devcontainer/launcher.json, or customizations.coder
+ * in devcontainer.json) into launch profile fields, or null when it sets none
+ * Config: { template, parameters: { name: value }, size: { name: value }, openWith, workspaceFolder }
+ * size holds the parameters that size the workspace (e.g. cpu, memory); parameters win over it
+ */
+function parseRepoLaunchConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return null;
+  }
+
+  const toLines = (values) => Object.entries(values && typeof values === 'object' ? values : {})
+    .filter(([name, value]) => /^[\w.-]+$/.test(name) && ['string', 'number', 'boolean'].includes(typeof value))
+    .map(([name, value]) => `${name}=${String(value).replace(/[\r\n]+/g, ' ')}`);
+
+  const profile = {};
+  const parameters = [...toLines(config.size), ...toLines(config.parameters)];
+
+  if (typeof config.template === 'string' && config.template) {
+    profile.coderTemplate = config.template;
+  }
+  if (parameters.length > 0) {
+    profile.parameters = parameters.join('\n');
+  }
+  if (typeof config.openWith === 'string' && config.openWith) {
+    profile.openWith = config.openWith;
+  }
+  if (typeof config.workspaceFolder === 'string' && config.workspaceFolder) {
+    profile.workspaceFolder = config.workspaceFolder;
+  }
+
+  return Object.keys(profile).length > 0 ? profile : null;
+}
+
+/**
+ * Launch profile for a repo, layered over the repo's own config: fields set in the user's
+ * matching profile win, the rest come from the repo. Parameter lines are combined, the user's last.
+ */
+function resolveLaunchProfile(profiles, owner, repo, repoProfile) {
+  const profile = findLaunchProfile(profiles, owner, repo);
+  if (!repoProfile) {
+    return profile;
+  }
+
+  const merged = { ...repoProfile };
+  for (const [key, value] of Object.entries(profile || {})) {
+    if (value) {
+      merged[key] = value;
+    }
+  }
+  merged.parameters = [repoProfile.parameters, profile?.parameters].filter(Boolean).join('\n');
+
+  return merged;
+}
@@ -0,0 +1,71 @@
+// Coder sessions and GitHub API tokens, shared by the background worker (importScripts) and the options page;
+// never loaded into GitHub pages. Kept in chrome.storage.local per origin - never in sync storage, so tokens stay on this device
+// A Coder session: { token, refreshToken, expiresAt, previousToken }
+
+const CODER_SESSIONS_KEY = 'coderSessions';
+const GITHUB_TOKENS_KEY = 'githubTokens';
+
+/**
+ * Origin a session or token is stored under, or null for an invalid URL
+ */
+function getStorageOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Stored session for a Coder deployment, or null when not signed in
+ */
+async function getCoderSession(coderUrl) {
+  const origin = getStorageOrigin(coderUrl);
+  if (!origin) return null;
+
+  const { coderSessions = {} } = await chrome.storage.local.get(CODER_SESSIONS_KEY);
+  return coderSessions[origin] || null;
+}
+
+/**
+ * Store (or, with a null session, forget) the session for a Coder deployment
+ */
+async function setCoderSession(coderUrl, session) {
+  const origin = getStorageOrigin(coderUrl);
+  if (!origin) return;
+
+  const { coderSessions = {} } = await chrome.storage.local.get(CODER_SESSIONS_KEY);
+  if (session) {
+    coderSessions[origin] = session;
+  } else {
+    delete coderSessions[origin];
+  }
+  await chrome.storage.local.set({ [CODER_SESSIONS_KEY]: coderSessions });
+}
+
+/**
+ * Personal access token for a GitHub host's REST API, or null
+ */
+async function getGitHubToken(hostUrl) {
+  const origin = getStorageOrigin(hostUrl);
+  if (!origin) return null;
+
+  const { githubTokens = {} } = await chrome.storage.local.get(GITHUB_TOKENS_KEY);
+  return githubTokens[origin] || null;
+}
+
+/**
+ * Store (or, with an empty token, forget) the API token of a GitHub host
+ */
+async function setGitHubToken(hostUrl, token) {
+  const origin = getStorageOrigin(hostUrl);
+  if (!origin) return;
+
+  const { githubTokens = {} } = await chrome.storage.local.get(GITHUB_TOKENS_KEY);
+  if (token) {
+    githubTokens[origin] = token;
+  } else {
+    delete githubTokens[origin];
+  }
+  await chrome.storage.local.set({ [GITHUB_TOKENS_KEY]: githubTokens });
+}